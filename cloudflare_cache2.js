@@ -1,7 +1,105 @@
 
 // --- Constants ---
-const DEFAULT_CACHE_TTL_SECONDS = 2048000; // Default 1 hour
+const DEFAULT_CACHE_TTL_SECONDS = 2048000; // Default about 23.7 days for 2xx responses (env: CACHE_TTL_SECONDS, route: ttlSeconds)
 const CACHE_CONTROL_HEADER = 'cf-cache-control'; // Custom header
+const STATUS_TTL_KEY = /^([234]\d\d|[234]xx)$/; // Keys of statusTtls: a status or a status class
+const UNCACHED_STATUSES = [408, 429]; // Transient errors, never cached whatever statusTtls says
+const DEFAULT_CACHE_KEY_STRATEGY = 'translator'; // See registerCacheKeyStrategy (env: CACHE_KEY_STRATEGY, route: cacheKey)
+const CACHE_KEY_VERSION = 'v2'; // Bump to retire every existing cache entry (v2: raw bodies instead of JSON envelopes)
+const DEFAULT_STALE_WHILE_REVALIDATE_SECONDS = 0; // Serve expired entries while refreshing (env: STALE_WHILE_REVALIDATE_SECONDS)
+const DEFAULT_STALE_IF_ERROR_SECONDS = 0; // Serve expired entries when the origin fails (env: STALE_IF_ERROR_SECONDS)
+const COALESCE_LOCK_TTL_MS = 30000; // Cross-isolate lock lifetime, in case the holder never releases it
+const COALESCE_WAIT_MS = 5000; // How long a waiter polls R2 for the lock holder's entry
+const COALESCE_POLL_INTERVAL_MS = 200;
+const ROUTES_KV_REFRESH_MS = 60000; // How long a route table read from ROUTES_KV is reused
+const CLIENT_RECORD_CACHE_MS = 60000; // How long a client registry lookup is reused
+const CLIENT_RECORD_CACHE_MAX_KEYS = 1000; // Registry lookups remembered per isolate, least recently used evicted first
+const CLIENT_SIGNATURE_MAX_SKEW_SECONDS = 300; // Accepted clock skew for HMAC-signed requests
+// Headers the caller uses to authenticate with this proxy, never forwarded to the origin
+const CLIENT_AUTH_HEADERS = ['x-api-key', 'x-client-id', 'x-timestamp', 'x-signature'];
+const DEFAULT_LOG_BATCH_SIZE = 50; // Log lines per POST to LOG_SINK_URL (env: LOG_BATCH_SIZE)
+const LOG_FLUSH_INTERVAL_MS = 10000; // Ship a partial batch once its oldest line is this old
+const LOG_BODY_MAX_CHARS = 2048; // Sampled request bodies are truncated to this length
+// Never written to logs as-is
+const REDACTED_HEADERS = ['ocp-apim-subscription-key', 'authorization', 'x-api-key', 'x-signature', 'cookie'];
+const REDACTED_QUERY_PARAMS = ['subscription-key', 'Subscription-Key'];
+const L1_CACHE_ORIGIN = 'https://l1.cache.internal'; // Synthetic URLs for caches.default entries
+const DEFAULT_L1_CACHE_TTL_SECONDS = 300; // Upper bound on L1 lifetime (env: L1_CACHE_TTL_SECONDS)
+const META_KEY_PREFIX = '__meta/'; // R2 objects used by the worker itself, never purged as cache entries
+const L1_GENERATION_KEY = `${META_KEY_PREFIX}l1-generation`; // R2 object holding the current L1 generation
+const L1_GENERATION_REFRESH_MS = 30000; // How long an isolate trusts its copy of the L1 generation
+const ADMIN_PATH_PREFIX = '/__cache'; // Admin routes, enabled when env.ADMIN_SECRET is set
+const ADMIN_MAX_LIST_PAGES = 10; // Pages of 1000 keys per purge/stats call before returning a cursor
+// Response headers that describe the transfer rather than the payload, never stored with a cache entry:
+// hop-by-hop headers, and length/encoding headers (R2 holds the decoded body)
+const UNSTORED_RESPONSE_HEADERS = [
+  'content-length', 'content-encoding', 'transfer-encoding', 'connection', 'keep-alive', 'proxy-authenticate',
+  'proxy-authorization', 'te', 'trailer', 'upgrade', 'set-cookie', 'date',
+];
+const VARY_KEY_SEPARATOR = ':vary='; // Separates a base cache key from the hash of the request headers the origin varies on
+const VARY_INDEX_MAX_KEYS = 1000; // Vary lists remembered per isolate before the index is reset
+// Request headers the worker answers for itself (it encodes bodies on the way out), never folded into a cache key
+const UNKEYED_VARY_HEADERS = ['accept-encoding'];
+// Client preconditions, answered by the worker for cacheable requests instead of being forwarded to the origin
+const CONDITIONAL_REQUEST_HEADERS = ['if-none-match', 'if-modified-since', 'if-match', 'if-unmodified-since', 'if-range'];
+// Headers a 304 carries over from the full response (RFC 9110 15.4.5), plus the worker's own
+const NOT_MODIFIED_HEADERS = ['cache-control', 'content-location', 'date', 'etag', 'expires', 'last-modified', 'vary', 'x-cache-status', 'x-cache-key'];
+const DEFAULT_MAX_CACHEABLE_BYTES = 25 * 1024 * 1024; // Larger responses are streamed through uncached (env: MAX_CACHEABLE_BYTES, route: maxCacheableBytes)
+// Storage calls (L1, R2, translation memory) one Translator batch may make, well inside the Workers
+// subrequest limit (env: MAX_ITEM_LOOKUPS, route: maxItemLookups)
+const DEFAULT_MAX_ITEM_LOOKUPS = 500;
+const UNCACHEABLE_CONTENT_TYPE = /^text\/event-stream/i; // Streams that never end are passed through, never cached
+const TM_ENTRY_PREFIX = `${META_KEY_PREFIX}tm/entries/`; // Translation memory in R2, unless TM_KV is bound
+const TM_IMPORT_BATCH_SIZE = 50; // Translation memory writes in flight during an import
+const TM_ADMIN_MAX_ENTRIES = 500; // Translation memory entries written or read per import/export call before returning a cursor
+const GLOSSARY_KEY = `${META_KEY_PREFIX}tm/glossary.json`; // Glossary in R2, unless TM_KV holds `glossary`
+const GLOSSARY_REFRESH_MS = 60000; // How long an isolate reuses the glossary
+const GLOSSARY_TOKEN_PREFIX = '__GLOSSARY_'; // Placeholders the origin returns verbatim for protected terms
+const GLOSSARY_TOKEN_PATTERN = /__GLOSSARY_(\d+)__/g;
+// Scripts written without spaces between words, where glossary terms also match inside longer runs of text
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const VALIDATION_MAX_ERRORS = 20; // Problems listed in a validation error's details
+const TRANSLATOR_MAX_ITEMS = 1000; // Azure Translator v3 limits, the defaults of a route's validation.translator
+const TRANSLATOR_MAX_CHARACTERS = 50000;
+const TRANSLATOR_REQUEST_SCHEMA = {
+  type: 'array', minItems: 1,
+  items: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } },
+};
+const TRANSLATOR_RESPONSE_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object', required: ['translations'],
+    properties: { translations: { type: 'array', items: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } } } },
+  },
+};
+const COMPRESSIBLE_CONTENT_TYPE = /^(text\/(?!event-stream)|application\/(json|javascript|xml|[\w.-]+\+(json|xml))|image\/svg\+xml)/i;
+const METRICS_FLUSH_INTERVAL_MS = 10000; // How often an isolate sends its metrics to the MetricsAggregator
+const METRICS_LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10000]; // origin_latency_seconds buckets
+const METRICS_PATH = '/__metrics'; // Enabled when env.METRICS_SECRET or env.ADMIN_SECRET is set
+const DEFAULT_ORIGIN_TIMEOUT_MS = 10000; // Per attempt, until the origin's headers arrive (env: ORIGIN_TIMEOUT_MS)
+const DEFAULT_ORIGIN_MAX_RETRIES = 2; // Extra attempts for idempotent or cacheable requests (env: ORIGIN_MAX_RETRIES)
+const ORIGIN_RETRY_BASE_DELAY_MS = 200; // Backoff doubles from here, with full jitter
+const ORIGIN_RETRY_MAX_DELAY_MS = 5000; // Longer backoffs or Retry-After values are not waited for
+const ORIGIN_RETRY_STATUSES = [429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+const DEFAULT_CIRCUIT_BREAKER_THRESHOLD = 5; // Consecutive origin failures that open the circuit (env: CIRCUIT_BREAKER_THRESHOLD)
+const DEFAULT_CIRCUIT_BREAKER_COOLDOWN_SECONDS = 30; // How long an open circuit fails fast (env: CIRCUIT_BREAKER_COOLDOWN_SECONDS)
+const WARMUP_MANIFEST_KEY = `${META_KEY_PREFIX}warmup/manifest.json`; // Warm-up manifest, unless WARMUP_KV holds `manifest`
+const WARMUP_STATUS_KEY = `${META_KEY_PREFIX}warmup/status.json`; // Progress report of the last warm-up run
+const WARMUP_REQUEST_ORIGIN = 'https://warmup.internal'; // Synthetic origin of replayed manifest requests
+const DEFAULT_WARMUP_CONCURRENCY = 4; // Manifest requests in flight at once (env: WARMUP_CONCURRENCY)
+const DEFAULT_WARMUP_REQUESTS_PER_SECOND = 5; // Pace of manifest requests (env: WARMUP_REQUESTS_PER_SECOND)
+const DEFAULT_WARMUP_REFRESH_BEFORE_SECONDS = 3600; // Entries expiring sooner are refreshed (env: WARMUP_REFRESH_BEFORE_SECONDS)
+const DEFAULT_WARMUP_TIME_BUDGET_SECONDS = 25; // Per run, which then pauses until the next one (env: WARMUP_TIME_BUDGET_SECONDS)
+const WARMUP_STALE_RUN_MS = 60000; // A run still marked `running` this long past its budget is assumed dead
+const WARMUP_STATUS_SAVE_EVERY = 50; // Completed requests between progress reports
+const WARMUP_MAX_REPORTED_FAILURES = 100;
+const GC_STATE_KEY = `${META_KEY_PREFIX}gc/state.json`; // Cursor and totals of the cache sweep
+const DEFAULT_GC_TIME_BUDGET_SECONDS = 20; // Per sweep run, which then resumes from its cursor (env: GC_TIME_BUDGET_SECONDS)
+const GC_STALE_RUN_MS = 60000; // A sweep still marked `running` this long past its budget is assumed dead
+const GC_EVICTION_CANDIDATES = 1000; // Least recently used entries remembered per pass for eviction (env: CACHE_MAX_BYTES)
+const GC_EVICTION_TARGET_RATIO = 0.9; // Eviction frees space down to this share of CACHE_MAX_BYTES
+const ACCESS_TOUCH_INTERVAL_SECONDS = 86400; // An entry's last access is recorded at most this often
 
 // --- Helper function to generate SHA-256 hash ---
 async function generateHash(data) {
@@ -33,266 +131,4398 @@ async function calculateSHA256(text) {
 }
 
 /**
- * 生成缓存键的函数 (支持 POST)
- * @param {Request} originalRequest - The original request.
- * @returns {Promise<string>} - The cache key.
+ * 规范化 query string: 按参数名稳定排序, 保证 `to=ja&from=en` 和 `from=en&to=ja` 得到同一个键.
+ * 同名参数保持原顺序: Translator 按 `to=` 的顺序返回译文, `to=ja&to=de` 和 `to=de&to=ja` 不能共用一个键
+ * @param {URL} url - The request URL.
+ * @returns {string} - The sorted query string, without the leading '?'.
+ */
+function normalizeQuery(url) {
+  const params = new URLSearchParams(url.searchParams);
+  params.sort(); // Stable, by name only
+  return params.toString();
+}
+
+/**
+ * 缓存键的公共前缀: 版本 + 路由命名空间 + 方法 + 路径 + 规范化后的 query string
+ * @param {Request} request - The original request.
+ * @param {object} route - The matched route; routes without a namespace share the root one.
+ * @returns {string} - e.g. `v2:translator:POST:/translator/translate?api-version=3.0&to=ja`
  */
-async function generateCacheKey(originalRequest) {
-  const request = originalRequest.clone();
+function cacheKeyPrefix(request, route) {
   const url = new URL(request.url);
-  let key = `${request.method}:${url.toString()}`;
+  const namespace = route.namespace ? `${route.namespace}:` : '';
+  return `${CACHE_KEY_VERSION}:${namespace}${request.method}:${url.pathname}?${normalizeQuery(url)}`;
+}
 
-  // If it's a POST request, include a hash of the body in the key
-  if (request.method === 'POST') {
-    try {
-      const bodyArray = await request.json();
-      // 5. 提取所有 'text' 属性的值并连接
-      let combinedText = '';
-      for (const item of bodyArray) {
-        // 确保数组中的每个元素都是对象并且有 'text' 属性
-        if (typeof item === 'object' && item !== null && typeof item.text === 'string') {
-          combinedText += item.text;
-        } else {
-          // 如果格式不符合预期，可以选择忽略、报错或记录日志
-          console.warn('Skipping invalid item in array:', item);
-        }
-      }
-    // 6. 计算连接后文本的 SHA-256 哈希值
-    key = await calculateSHA256(combinedText);
-  } catch (error) {
-    // 处理 JSON 解析错误或其他意外错误
-    console.error('Error processing request:', error);
+// --- Cache-key strategies ---
+
+// name -> { label, readsBody, validate?, keyPart }, see registerCacheKeyStrategy
+const cacheKeyStrategies = new Map();
+
+/**
+ * 注册一个缓存键策略, 路由通过 `cacheKey` 选择. keyPart 返回的字符串以 `:<label>=<part>` 追加到缓存键;
+ * 返回 null 表示不追加. keyPart 抛出异常时请求不走缓存 (fail closed)
+ * @param {string} name - Name used in route configs and env.CACHE_KEY_STRATEGY.
+ * @param {object} strategy
+ * @param {string} strategy.label - Label of the key part.
+ * @param {boolean} strategy.readsBody - Whether keyPart reads the body; such strategies receive a clone,
+ *   are skipped for requests without a body, and a route may use only one of them.
+ * @param {function(object): void} [strategy.validate] - Checks the route's options, throwing on bad config.
+ * @param {function(Request, object): Promise<string|null>} strategy.keyPart - Computes the key part.
+ */
+export function registerCacheKeyStrategy(name, strategy) {
+  if (typeof strategy?.keyPart !== 'function' || typeof strategy.label !== 'string') {
+    throw new Error(`Cache key strategy "${name}" needs a label and a keyPart function`);
   }
+  cacheKeyStrategies.set(name, { readsBody: false, ...strategy });
+}
+
+/**
+ * 解析路由的 `cacheKey` 配置: 策略名, `{ "strategy": name, ...options }`, 或它们的数组
+ * (env.CACHE_KEY_STRATEGY 也可以是逗号分隔的策略名)
+ * @param {string|object|Array<string|object>} spec - The cacheKey config.
+ * @returns {Array<{name: string, options: object}>} - The strategies, in key order.
+ */
+function parseCacheKeySpec(spec) {
+  const entries = Array.isArray(spec) ? spec : (typeof spec === 'string' ? spec.split(',') : [spec]);
+  const strategies = entries.map(entry => {
+    const { strategy: name, ...options } = typeof entry === 'string' ? { strategy: entry.trim() } : (entry || {});
+    const strategy = cacheKeyStrategies.get(name);
+    if (!strategy) {
+      throw new Error(`Unknown cache key strategy "${name}"`);
+    }
+    if (strategy.validate) {
+      strategy.validate(options);
+    }
+    return { name, options };
+  });
+  if (strategies.filter(({ name }) => cacheKeyStrategies.get(name).readsBody).length > 1) {
+    throw new Error(`Only one body strategy per route: ${JSON.stringify(spec)}`);
   }
-  // Optional: Hash the final key string if it gets too long or contains difficult characters
-  // key = await generateHash(key);
-  return key;
+  return strategies;
 }
 
 /**
- * 记录请求的详细信息，包括 POST/PUT/PATCH 的 body。
- * @param {Request} request - Cloudflare Worker 接收到的请求对象
+ * 路由使用的缓存键策略: 路由的 cacheKey, 其次是 env.CACHE_KEY_STRATEGY, 默认 translator
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route.
+ * @returns {Array<{name: string, options: object}>} - Throws on an invalid env.CACHE_KEY_STRATEGY.
  */
-async function logRequestDetails(request) {
-  // 准备一个对象来存储请求信息
-  const requestData = {
-    method: request.method,
-    url: request.url,
-    headers: {}, // Headers 对象需要转换
-    cf: request.cf, // Cloudflare 特定信息 (GeoIP, TLS 版本等)
-    body: null,    // 初始化 body 为 null
-  };
+function routeKeyStrategies(env, route) {
+  return parseCacheKeySpec(route.cacheKey ?? env.CACHE_KEY_STRATEGY ?? DEFAULT_CACHE_KEY_STRATEGY);
+}
 
-  // 将 Headers 对象转换为普通 JavaScript 对象，方便查看
-  for (const [key, value] of request.headers.entries()) {
-    requestData.headers[key] = value;
+/**
+ * JSON 规范化: 对象的键排序, 使 `{"a":1,"b":2}` 和 `{"b":2,"a":1}` 得到相同的字符串
+ * @param {*} value - A parsed JSON value.
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
   }
+  return JSON.stringify(value);
+}
 
-  // 检查请求方法是否可能包含 body (POST, PUT, PATCH 等)
-  // 并且检查 request.body 是否确实存在 (GET/HEAD 请求 body 为 null)
-  if (request.body && (request.method === 'POST')) {
-    try {
-      // --- 关键步骤：克隆请求以读取 Body ---
-      const requestClone = request.clone();
+/**
+ * JSONPath 的一个子集: `$`, `.name`, `['name']`, `[0]` 和通配符 `.*` / `[*]`
+ * @param {*} value - A parsed JSON value.
+ * @param {string} path - e.g. `$.items[*].text`.
+ * @returns {Array<*>} - Every value the path selects.
+ */
+function selectJsonPath(value, path) {
+  if (!path.startsWith('$')) {
+    throw new Error(`JSONPath must start with "$": ${path}`);
+  }
+  const segments = [];
+  const pattern = /\.([A-Za-z_$][\w$-]*|\*)|\[(?:(\d+)|\*|'([^']*)'|"([^"]*)")\]/y;
+  pattern.lastIndex = 1;
+  while (pattern.lastIndex < path.length) {
+    const match = pattern.exec(path);
+    if (!match) {
+      throw new Error(`Unsupported JSONPath: ${path}`);
+    }
+    segments.push(match[1] === '*' || match[0] === '[*]' ? '*' : (match[1] ?? (match[2] !== undefined ? Number(match[2]) : match[3] ?? match[4])));
+  }
+  return segments.reduce((nodes, segment) => nodes.flatMap(node => {
+    if (node === null || typeof node !== 'object') {
+      return [];
+    }
+    if (segment === '*') {
+      return Object.values(node);
+    }
+    return node[segment] === undefined ? [] : [node[segment]];
+  }), [value]);
+}
+
+// Raw body bytes, as cloudflare_cache.js has always keyed POST requests
+registerCacheKeyStrategy('body-hash', {
+  label: 'bodyHash',
+  readsBody: true,
+  keyPart: async request => generateHash(await request.arrayBuffer()),
+});
 
-      // 根据预期的 Content-Type 选择读取方式
-      // .text() 是比较通用的选择，适用于文本类内容
-      // 如果确定是 JSON，可以用 .json()，但要注意错误处理
-      // 如果是表单，可以用 .formData()
-      // 如果是二进制，可以用 .arrayBuffer()
-      const bodyContent = await requestClone.text(); // 或者 .json(), .formData(), .arrayBuffer()
+// Canonical JSON of the whole body, or only of the `fields` JSONPaths
+registerCacheKeyStrategy('json', {
+  label: 'jsonHash',
+  readsBody: true,
+  validate: ({ fields }) => {
+    if (fields !== undefined && (!Array.isArray(fields) || !fields.every(field => typeof field === 'string'))) {
+      throw new Error('The json cache key strategy takes "fields" as a list of JSONPaths');
+    }
+    (fields || []).forEach(field => selectJsonPath(null, field));
+  },
+  keyPart: async (request, { fields }) => {
+    const body = await request.json();
+    const selected = fields ? fields.map(field => [field, selectJsonPath(body, field)]) : body;
+    return calculateSHA256(canonicalJson(selected));
+  },
+});
 
-      requestData.body = bodyContent; // 将读取到的 body 存入记录对象
+// The `text` fields of a Translator array body; valid arrays are normally cached per item instead
+registerCacheKeyStrategy('translator', {
+  label: 'textHash',
+  readsBody: true,
+  keyPart: async request => {
+    const items = await readTranslatorItems(request);
+    if (!items) {
+      throw new Error('Body is not a Translator array');
+    }
+    return calculateSHA256(JSON.stringify(items.map(item => item.text)));
+  },
+});
 
-      // 可选：如果内容类型是 JSON，可以尝试解析，方便查看结构
-      if (request.headers.get('content-type')?.includes('application/json')) {
-        try {
-          requestData.body = JSON.parse(bodyContent); // 替换为解析后的对象
-        } catch (e) {
-          console.error("Body looked like JSON, but failed to parse:", e);
-        }
+// urlencoded or multipart form fields (optionally only `fields`), sorted, with files reduced to their hash
+registerCacheKeyStrategy('form', {
+  label: 'formHash',
+  readsBody: true,
+  keyPart: async (request, { fields }) => {
+    const contentType = request.headers.get('content-type') || '';
+    if (!/^(application\/x-www-form-urlencoded|multipart\/form-data)/i.test(contentType)) {
+      throw new Error(`Not a form body: ${contentType}`);
+    }
+    const pairs = [];
+    for (const [name, value] of (await request.formData()).entries()) {
+      if (!fields || fields.includes(name)) {
+        pairs.push([name, typeof value === 'string' ? value : `file:${await generateHash(await value.arrayBuffer())}`]);
       }
+    }
+    pairs.sort(([aName, aValue], [bName, bValue]) =>
+      aName === bName ? (aValue < bValue ? -1 : aValue > bValue ? 1 : 0) : (aName < bName ? -1 : 1));
+    return calculateSHA256(JSON.stringify(pairs));
+  },
+});
 
-    } catch (error) {
-      console.error("Error reading request body:", error);
-      requestData.body = "[Error reading body]"; // 记录读取错误
+// Values of the listed request headers, e.g. { "strategy": "headers", "headers": ["accept-language"] }
+registerCacheKeyStrategy('headers', {
+  label: 'headerHash',
+  validate: ({ headers }) => {
+    if (!Array.isArray(headers) || headers.length === 0 || !headers.every(header => typeof header === 'string')) {
+      throw new Error('The headers cache key strategy needs a non-empty "headers" list');
     }
-  } else {
-    requestData.body = "[No body present or not a POST request]";
-  }
+  },
+  keyPart: async (request, { headers }) => {
+    const names = [...new Set(headers.map(header => header.toLowerCase()))].sort();
+    return calculateSHA256(names.map(name => `${name}:${(request.headers.get(name) || '').trim()}`).join('\n'));
+  },
+});
 
-  // 使用 console.log 输出到 Workers 日志
-  // 使用 JSON.stringify 可以更好地格式化对象，特别是嵌套的 cf 和 headers
-  console.log(JSON.stringify(requestData, null, 2)); // null, 2 用于格式化输出
+// Method, path and query only
+registerCacheKeyStrategy('url', {
+  label: 'url',
+  keyPart: async () => null,
+});
 
-  // 注意：在生产环境中，你可能希望将这些日志发送到专门的日志服务，例如: await sendToLoggingService(requestData);
+/**
+ * 生成缓存键: 公共前缀加上路由各个缓存键策略的结果. 策略失败时抛出异常, 调用方不使用缓存
+ * @param {Request} request - The original request (strategies that read the body get a clone).
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route.
+ * @param {object} [options]
+ * @param {boolean} [options.includeBody] - False to skip body strategies, e.g. for per-item Translator keys.
+ * @returns {Promise<string>} - The cache key.
+ */
+async function generateCacheKey(request, env, route, { includeBody = true } = {}) {
+  let key = cacheKeyPrefix(request, route);
+  for (const { name, options } of routeKeyStrategies(env, route)) {
+    const strategy = cacheKeyStrategies.get(name);
+    if (strategy.readsBody && (!includeBody || !request.body)) {
+      continue;
+    }
+    const part = await strategy.keyPart(strategy.readsBody ? request.clone() : request, options);
+    if (part !== null && part !== undefined) {
+      key += `:${strategy.label}=${part}`;
+    }
+  }
+  return key;
 }
 
-function handleRequestHeaders(env, requestHeaders) {
-  const headerKey1 = 'ocp-apim-subscription-key';
-  const subscriptionKeyValue = env.OCP_APIM_Subscription_Key;
-  
-  const mutableHeaders = new Headers(requestHeaders);
-  mutableHeaders.set('ocp-apim-subscription-region', 'japaneast');
-  mutableHeaders.set(headerKey1, subscriptionKeyValue);
-  mutableHeaders.delete('host');
-  return mutableHeaders;
+/**
+ * 路由是否按 translator 策略缓存, 这时合法的 Translator 数组按元素逐条缓存
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route.
+ * @returns {boolean}
+ */
+function usesTranslatorKeys(env, route) {
+  try {
+    return routeKeyStrategies(env, route).some(({ name }) => name === 'translator');
+  } catch (e) {
+    return false;
+  }
 }
 
-export default {
-  async fetch(request, env, ctx) {
-    // --- Configuration Check ---
-    const originApiUrl = env.ORIGIN_API_URL;
-    if (!originApiUrl) {
-      return new Response("Origin API URL not configured", { status: 500 });
-    }
-    if (!env.API_CACHE_BUCKET) {
-      return new Response("R2 Bucket not bound", { status: 500 });
+// --- Translator per-item cache ---
+
+/**
+ * 读取 Translator 的数组 body ([{ text: '...' }, ...])
+ * @param {Request} request - The original request (body is read from a clone).
+ * @returns {Promise<Array<object>|null>} - The items, or null if the body is not a Translator array.
+ */
+async function readTranslatorItems(request) {
+  try {
+    const bodyArray = await request.clone().json();
+    if (!Array.isArray(bodyArray) || bodyArray.length === 0) {
+      return null;
     }
+    const isTranslatorItem = item => typeof item === 'object' && item !== null && typeof item.text === 'string';
+    return bodyArray.every(isTranslatorItem) ? bodyArray : null;
+  } catch (error) {
+    return null;
+  }
+}
 
-    // --- Generate Cache Key (Now potentially async and reads body for POST) ---
-    const cacheKey = await generateCacheKey(request);
-    const url = new URL(request.url);
+/**
+ * 一个 Translator 数组请求最多使用的存储调用次数, 见 DEFAULT_MAX_ITEM_LOOKUPS
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route.
+ * @returns {number}
+ */
+function maxItemLookups(env, route) {
+  return parseInt(route.maxItemLookups ?? env.MAX_ITEM_LOOKUPS) || DEFAULT_MAX_ITEM_LOOKUPS;
+}
 
-    // --- Cache Control ---
-    const bypassCache = request.headers.get(CACHE_CONTROL_HEADER)?.toLowerCase() === 'no-cache';
-    const forceCache = request.headers.get(CACHE_CONTROL_HEADER)?.toLowerCase() === 'force-cache'; // Optional: Header to force caching even if normally disallowed
+/**
+ * 按元素缓存时每个不同的文本最多需要的存储调用: 一次 L1 读取, 一次 R2 读取和一次 R2 写入
+ * @param {object} env - Worker env.
+ * @returns {number}
+ */
+function itemCacheLookupsPerText(env) {
+  return getL1Cache(env) ? 3 : 2;
+}
 
+/**
+ * 单条翻译文本的缓存键, 包含 query string 以区分 to/from/api-version
+ * @param {string} itemKeyPrefix - generateCacheKey without body strategies, shared by the batch's items.
+ * @param {string} text - The `text` field of one array item.
+ * @returns {Promise<string>} - The cache key for that item.
+ */
+async function generateItemCacheKey(itemKeyPrefix, text) {
+  return `${itemKeyPrefix}:item=${await calculateSHA256(text)}`;
+}
 
-    // --- Determine if method is cacheable ---
-    // CAREFUL: Only include 'POST' if you are ABSOLUTELY SURE it's safe for your use case.
-    const isCacheableMethod = (request.method === 'GET' || request.method === 'POST');
+/**
+ * 解析 Cache-Control 风格的指令列表, 例如 `max-age=60, stale-if-error=300`
+ * @param {string|null|undefined} value - The header value.
+ * @returns {Object<string, string|boolean>} - Lower-cased directive names mapped to their value (or true).
+ */
+function parseCacheControl(value) {
+  const directives = {};
+  for (const part of (value || '').toLowerCase().split(',')) {
+    const [name, arg] = part.trim().split('=');
+    if (name) {
+      directives[name] = arg === undefined ? true : arg.trim();
+    }
+  }
+  return directives;
+}
 
-    // --- 1. Try to get from R2 Cache ---
-    let cachedResponseData = null;
-    if (!bypassCache && isCacheableMethod) {
-      try {
-        const object = await env.API_CACHE_BUCKET.get(cacheKey);
-        if (object !== null) {
-          cachedResponseData = await object.json();
-
-          const expiration = object.customMetadata?.expiration;
-          if (expiration && new Date().getTime() > parseInt(expiration)) {
-              //console.log(`Cache expired: ${cacheKey}`);
-              cachedResponseData = null;
-              ctx.waitUntil(env.API_CACHE_BUCKET.delete(cacheKey));
-          } else {
-              console.log(`Cache HIT: ${cacheKey}`);
-              const headers = new Headers(cachedResponseData.headers);
-              headers.set('X-Cache-Status', 'HIT');
-              headers.set('X-Cache-Key', cacheKey);
-
-              // Body might be stored as string or need parsing depending on how you stored it
-              let bodyContent = cachedResponseData.body;
-              // If body was stored as an object/array, stringify it again.
-              if (typeof bodyContent !== 'string') {
-                  bodyContent = JSON.stringify(bodyContent);
-              }
-              return new Response(bodyContent, {
-                status: cachedResponseData.status,
-                headers: headers,
-              });
-          }
-        } else {
-          //console.log(`Cache MISS: ${cacheKey}`);
+/**
+ * 校验 TTL 策略 (路由配置或 env.CACHE_STATUS_TTLS), 配置错误时抛出异常:
+ *   statusTtls: { "404": 60, "4xx": 10, "301": 86400 } - 按状态码 (或状态码类) 的 TTL. 2xx 默认缓存 (TTL 为 ttlSeconds),
+ *     其他状态码只有在这里列出时才缓存 (negative caching); 408 和 429 是暂时性错误, 永远不缓存
+ *   minTtlSeconds / maxTtlSeconds - 最终 TTL 的上下限
+ * @param {object} policy - Object with optional statusTtls, minTtlSeconds and maxTtlSeconds.
+ * @param {string} where - Where the policy came from, for error messages.
+ */
+function checkTtlPolicy(policy, where) {
+  const isSeconds = value => Number.isInteger(value) && value >= 0;
+  const problems = [];
+  if (policy.statusTtls !== undefined) {
+    if (typeof policy.statusTtls !== 'object' || policy.statusTtls === null || Array.isArray(policy.statusTtls)) {
+      problems.push('statusTtls must be an object');
+    } else {
+      for (const [status, seconds] of Object.entries(policy.statusTtls)) {
+        if (!STATUS_TTL_KEY.test(status) || UNCACHED_STATUSES.includes(parseInt(status))) {
+          problems.push(`statusTtls cannot cache status ${status}`);
+        } else if (!isSeconds(seconds)) {
+          problems.push(`statusTtls.${status} must be a non-negative integer`);
         }
-      } catch (e) {
-        console.error(`Error reading from R2: ${e}`);
       }
-    } else {
-      console.log(`Skipping cache lookup for method ${request.method} or bypass requested.`);
     }
+  }
+  for (const name of ['minTtlSeconds', 'maxTtlSeconds']) {
+    if (policy[name] !== undefined && !isSeconds(policy[name])) {
+      problems.push(`${name} must be a non-negative integer`);
+    }
+  }
+  if (policy.minTtlSeconds > policy.maxTtlSeconds) {
+    problems.push('minTtlSeconds is larger than maxTtlSeconds');
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid TTL policy for ${where}: ${problems.join(', ')}`);
+  }
+}
+
+/**
+ * env.CACHE_STATUS_TTLS (JSON, 格式同路由的 statusTtls). 解析结果按字符串缓存; 配置错误时记录日志并忽略
+ * @param {object} env - Worker env.
+ * @returns {Object<string, number>} - Status (or status class) to TTL in seconds.
+ */
+function envStatusTtls(env) {
+  const source = env.CACHE_STATUS_TTLS || null;
+  if (statusTtlCache.source !== source) {
+    let statusTtls = {};
+    try {
+      statusTtls = source ? JSON.parse(source) : {};
+      checkTtlPolicy({ statusTtls }, 'env.CACHE_STATUS_TTLS');
+    } catch (e) {
+      console.error(`Ignoring CACHE_STATUS_TTLS: ${e.message}`);
+      statusTtls = {};
+    }
+    statusTtlCache = { source, statusTtls };
+  }
+  return statusTtlCache.statusTtls;
+}
+
+/**
+ * 某个状态码配置的 TTL: 路由的 statusTtls 覆盖 env.CACHE_STATUS_TTLS, 具体状态码优先于状态码类 (如 4xx)
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route.
+ * @param {number} status - Origin response status.
+ * @returns {number|undefined} - TTL in seconds, or undefined when the status has no configured TTL.
+ */
+function statusTtl(env, route, status) {
+  if (UNCACHED_STATUSES.includes(status)) {
+    return undefined;
+  }
+  const statusTtls = { ...envStatusTtls(env), ...route.statusTtls };
+  return statusTtls[status] ?? statusTtls[`${Math.floor(status / 100)}xx`];
+}
+
+/**
+ * 源站响应能否写入缓存: 2xx 和 statusTtls 中列出的状态码, 并且 Cache-Control 没有 no-store / no-cache / private
+ * (这是多个客户端共享的缓存), Pragma 没有 no-cache
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route.
+ * @param {number} status - Origin response status.
+ * @param {Headers} headers - Origin response headers.
+ * @returns {boolean}
+ */
+function isCacheableResponse(env, route, status, headers) {
+  const directives = parseCacheControl(headers.get('Cache-Control'));
+  const pragma = headers.get('Pragma')?.toLowerCase();
+  const statusAllowed = (status >= 200 && status < 300) || statusTtl(env, route, status) !== undefined;
+  return statusAllowed && !directives['no-store'] && !directives['no-cache'] && !directives.private &&
+    !(pragma && pragma.includes('no-cache'));
+}
+
+/**
+ * 解析缓存 TTL: cf-cache-control 的 max-age 优先, 其次是源站的 s-maxage, max-age, Expires,
+ * 最后是 statusTtls 或路由的 ttlSeconds (env: CACHE_TTL_SECONDS). 非 2xx 的条目不会比 statusTtls 中配置的活得更久.
+ * 结果限制在 minTtlSeconds / maxTtlSeconds 之间 (路由优先, env: MIN_CACHE_TTL_SECONDS / MAX_CACHE_TTL_SECONDS)
+ * @param {Request} request - The original request.
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route.
+ * @param {number} status - Origin response status.
+ * @param {Headers} headers - Origin response headers (or the stored headers of a revalidated entry).
+ * @returns {number} - TTL in seconds.
+ */
+function resolveTtl(request, env, route, status, headers) {
+  const isSuccess = status >= 200 && status < 300;
+  const configuredTtl = isSuccess
+    ? statusTtl(env, route, status) ?? route.ttlSeconds ?? (parseInt(env.CACHE_TTL_SECONDS) || DEFAULT_CACHE_TTL_SECONDS)
+    : statusTtl(env, route, status) ?? 0;
+  const customMaxAge = parseCacheControl(request.headers.get(CACHE_CONTROL_HEADER))['max-age'];
+  const directives = parseCacheControl(headers.get('Cache-Control'));
+  let ttl = configuredTtl;
+  if (customMaxAge !== undefined) {
+    ttl = parseInt(customMaxAge) || configuredTtl;
+  } else if (/^\d+$/.test(directives['s-maxage'])) {
+    ttl = parseInt(directives['s-maxage']);
+  } else if (/^\d+$/.test(directives['max-age'])) {
+    ttl = parseInt(directives['max-age']);
+  } else if (headers.has('Expires')) {
+    // An invalid Expires (such as "0") means already expired (RFC 9111 5.3)
+    const expires = Date.parse(headers.get('Expires'));
+    const date = Date.parse(headers.get('Date'));
+    ttl = Number.isNaN(expires) ? 0 : Math.max(0, Math.floor((expires - (Number.isNaN(date) ? new Date().getTime() : date)) / 1000));
+  }
+  if (!isSuccess) {
+    ttl = Math.min(ttl, configuredTtl);
+  }
+  const minTtl = route.minTtlSeconds ?? (parseInt(env.MIN_CACHE_TTL_SECONDS) || 0);
+  const maxTtl = route.maxTtlSeconds ?? (parseInt(env.MAX_CACHE_TTL_SECONDS) || Infinity);
+  return Math.min(Math.max(ttl, minTtl), maxTtl);
+}
+
+/**
+ * 过期条目的宽限窗口 (秒): cf-cache-control 的 stale-while-revalidate / stale-if-error
+ * 优先, 其次是路由配置, 最后是 env 中的 STALE_WHILE_REVALIDATE_SECONDS / STALE_IF_ERROR_SECONDS.
+ * cf-cache-control 的 min-fresh 让剩余有效期不足的条目提前按过期处理 (缓存预热用它刷新快过期的条目).
+ * 源站熔断时任何过期条目都可以用于 stale-if-error
+ * @param {Request} request - The original request.
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route.
+ * @returns {{staleWhileRevalidate: number, staleIfError: number, minFresh: number, useL1: boolean}} - All windows
+ *   in seconds, and whether L1 may answer the lookup.
+ */
+function resolveStaleWindows(request, env, route) {
+  const directives = parseCacheControl(request.headers.get(CACHE_CONTROL_HEADER));
+  const pick = (directive, routeValue, envValue, fallback) => {
+    const seconds = parseInt(directives[directive] ?? routeValue ?? envValue);
+    return Number.isNaN(seconds) ? fallback : seconds;
+  };
+  const minFresh = pick('min-fresh', undefined, undefined, 0);
+  return {
+    staleWhileRevalidate: pick('stale-while-revalidate', route.staleWhileRevalidateSeconds, env.STALE_WHILE_REVALIDATE_SECONDS, DEFAULT_STALE_WHILE_REVALIDATE_SECONDS),
+    // The origin is known to be down: any stale entry beats an error
+    staleIfError: isCircuitOpen(route) ? Infinity : pick('stale-if-error', route.staleIfErrorSeconds, env.STALE_IF_ERROR_SECONDS, DEFAULT_STALE_IF_ERROR_SECONDS),
+    minFresh,
+    // L1 does not know how long its entries have left, so min-fresh lookups go to R2
+    useL1: minFresh === 0,
+  };
+}
+
+/**
+ * 条目已经过期多少秒 (未过期返回 0)
+ * @param {object} object - R2 object (or head) with customMetadata.expiration.
+ * @param {number} [minFresh] - Seconds of remaining lifetime required; entries with less count as expired.
+ * @returns {number} - Seconds past expiration, measured from `minFresh` seconds from now.
+ */
+function secondsPastExpiration(object, minFresh = 0) {
+  const expiration = object.customMetadata?.expiration;
+  if (!expiration) {
+    return 0;
+  }
+  return Math.max(0, (new Date().getTime() + minFresh * 1000 - parseInt(expiration)) / 1000);
+}
+
+/**
+ * 构造发往源站的请求
+ * @param {Request} request - The original request.
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route.
+ * @param {BodyInit|null} [body] - Replacement body; defaults to the original body stream.
+ * @param {object} [options]
+ * @param {boolean} [options.cacheable] - The response may be cached or shared: the client's preconditions are
+ *   not forwarded, so the origin always answers with the full response.
+ * @param {{etag: string|null, lastModified: string|null}|null} [options.validators] - Validators of a stored
+ *   entry to revalidate; the origin may answer 304.
+ * @returns {Request} - The origin request.
+ */
+function buildOriginRequest(request, env, route, body = request.body, { cacheable = false, validators = null } = {}) {
+  const url = new URL(request.url);
+  const headers = handleRequestHeaders(env, route, request.headers);
+  if (body !== request.body) {
+    headers.delete('content-length');
+  }
+  if (cacheable) {
+    CONDITIONAL_REQUEST_HEADERS.forEach(name => headers.delete(name));
+  }
+  if (validators?.etag) {
+    headers.set('If-None-Match', validators.etag);
+  }
+  if (validators?.lastModified) {
+    headers.set('If-Modified-Since', validators.lastModified);
+  }
+  return new Request(originUrlFor(route, url), {
+    method: request.method,
+    headers: headers,
+    body: body,
+    redirect: 'manual',
+    // Required by fetch implementations outside Workers (Node, Miniflare) for a streamed body
+    ...(body instanceof ReadableStream ? { duplex: 'half' } : {}),
+  });
+}
+
+// --- Translation memory and glossary ---
+
+// Glossary read from TM_KV or R2, reused per isolate for GLOSSARY_REFRESH_MS
+let glossaryCache = { glossary: null, loadedAt: 0 };
+
+/**
+ * Translation memory 的存储: env.TM_KV (KV namespace) 优先, 否则是 API_CACHE_BUCKET 中的 __meta/tm/entries/.
+ * 每条记录是一个 JSON { from, to, source, target, updated }, 键见 tmEntryKey
+ * @param {object} env - Worker env.
+ * @returns {{get: function(string): Promise<object|null>, put: function(string, object): Promise<void>,
+ *   list: function(string, string|undefined, number=): Promise<{keys: Array<string>, cursor: string|null}>}}
+ */
+function getTranslationMemory(env) {
+  const kv = env.TM_KV;
+  const bucket = env.API_CACHE_BUCKET;
+  if (kv) {
+    return {
+      get: key => kv.get(key, 'json'),
+      put: (key, entry) => kv.put(key, JSON.stringify(entry)),
+      list: async (prefix, cursor, limit) => {
+        const listing = await kv.list({ prefix, cursor, limit });
+        return { keys: listing.keys.map(key => key.name), cursor: listing.list_complete ? null : listing.cursor };
+      },
+    };
+  }
+  return {
+    get: async key => {
+      const object = await bucket.get(key);
+      return object ? object.json() : null;
+    },
+    put: async (key, entry) => {
+      await bucket.put(key, JSON.stringify(entry), { httpMetadata: { contentType: 'application/json' } });
+    },
+    list: async (prefix, cursor, limit) => {
+      const listing = await bucket.list({ prefix, cursor, limit });
+      return { keys: listing.objects.map(object => object.key), cursor: listing.truncated ? listing.cursor : null };
+    },
+  };
+}
 
-    // --- 2. Cache Miss or Non-Cacheable Method: Forward to Origin ---
-    const originRequestUrl = `${originApiUrl}${url.pathname}${url.search}`;
+/**
+ * 一条 TM 记录的键: 源语言 + 目标语言 + 原文的 SHA-256 (语言代码不区分大小写)
+ * @param {string} from - Source language.
+ * @param {string} to - Target language.
+ * @param {string} source - Source text.
+ * @returns {Promise<string>} - e.g. `__meta/tm/entries/en/ja/<hash>`
+ */
+async function tmEntryKey(from, to, source) {
+  return `${TM_ENTRY_PREFIX}${from.toLowerCase()}/${to.toLowerCase()}/${await calculateSHA256(source)}`;
+}
+
+/**
+ * Translator 请求的语言参数. `to` 可以重复, 也可以用逗号分隔
+ * @param {Request} request - The Translator request.
+ * @returns {{from: string|null, to: Array<string>}}
+ */
+function translatorLanguages(request) {
+  const url = new URL(request.url);
+  const to = url.searchParams.getAll('to').flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+  return { from: url.searchParams.get('from'), to };
+}
+
+/**
+ * 读取术语表: env.TM_KV 的 `glossary` 优先, 其次是 R2 中的 __meta/tm/glossary.json. 格式按源语言分组:
+ *   { "en": [{ "source": "Acme Cloud", "targets": { "ja": "アクメクラウド" } }] }
+ * 某个目标语言没有译法的术语原样保留
+ * @param {object} env - Worker env.
+ * @returns {Promise<Object<string, Array<{source: string, targets: Object<string, string>}>>>}
+ */
+async function loadGlossary(env) {
+  const now = new Date().getTime();
+  if (glossaryCache.glossary && now - glossaryCache.loadedAt < GLOSSARY_REFRESH_MS) {
+    return glossaryCache.glossary;
+  }
+  let source = env.TM_KV ? await env.TM_KV.get('glossary') : null;
+  if (!source) {
+    const object = await env.API_CACHE_BUCKET.get(GLOSSARY_KEY);
+    source = object ? await object.text() : null;
+  }
+  const glossary = source ? parseGlossary(JSON.parse(source)) : {};
+  glossaryCache = { glossary, loadedAt: now };
+  return glossary;
+}
+
+/**
+ * 校验术语表并把语言代码转成小写
+ * @param {object} glossary - The parsed glossary.
+ * @returns {Object<string, Array<{source: string, targets: Object<string, string>}>>}
+ */
+function parseGlossary(glossary) {
+  if (typeof glossary !== 'object' || glossary === null || Array.isArray(glossary)) {
+    throw new Error('Glossary must be an object of source language -> terms');
+  }
+  const parsed = {};
+  for (const [from, terms] of Object.entries(glossary)) {
+    if (!Array.isArray(terms) || !terms.every(term => typeof term?.source === 'string' && term.source !== '')) {
+      throw new Error(`Glossary terms for "${from}" must be an array of { source, targets }`);
+    }
+    parsed[from.toLowerCase()] = terms.map(term => ({
+      source: term.source,
+      targets: Object.fromEntries(Object.entries(term.targets || {}).map(([to, target]) => [to.toLowerCase(), String(target)])),
+    }));
+  }
+  return parsed;
+}
 
-    // IMPORTANT: Use the ORIGINAL request object here, as its body stream hasn't been consumed yet.
-    // If you modified headers or other properties, ensure you use a clone THAT HASN'T had its body read.
-    const originRequest = new Request(originRequestUrl, {
-      method: request.method,
-      headers: handleRequestHeaders(env, request.headers),
-      body: request.body, // Pass the original body stream
-      redirect: 'manual',
+/**
+ * 术语保护: 把原文中的术语换成 Translator 动态词典标记, 让源站原样输出占位符, 拿到译文后再按目标语言替换回来
+ * (一个请求可以有多个 `to`, 所以不直接把译法写进标记)
+ * @param {Array<{source: string, targets: Object<string, string>}>} terms - Glossary terms of the source language.
+ * @returns {Promise<{version: string, protect: function(string): string, restore: function(string, string): string}|null>}
+ *   Null without terms; `version` changes whenever the terms do and is part of the item cache keys.
+ */
+async function compileGlossary(terms) {
+  if (!terms || terms.length === 0) {
+    return null;
+  }
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // Terms starting or ending with a letter of a space-separated script only match whole words
+  const isWordChar = char => /[\p{L}\p{N}]/u.test(char) && !UNSPACED_SCRIPT.test(char);
+  const alternatives = terms
+    .map((term, index) => ({ term, index }))
+    .sort((a, b) => b.term.source.length - a.term.source.length) // Longest terms first
+    .map(({ term, index }) => {
+      const chars = [...term.source];
+      const before = isWordChar(chars[0]) ? '(?<![\\p{L}\\p{N}])' : '';
+      const after = isWordChar(chars[chars.length - 1]) ? '(?![\\p{L}\\p{N}])' : '';
+      return `(?<g${index}>${before}${escape(term.source)}${after})`;
     });
+  const pattern = new RegExp(alternatives.join('|'), 'gu');
+  return {
+    version: (await calculateSHA256(JSON.stringify(terms))).slice(0, 16),
+    protect: text => text.replace(pattern, (...match) => {
+      const groups = match[match.length - 1];
+      const index = Object.keys(groups).find(name => groups[name] !== undefined).slice(1);
+      return `<mstrans:dictionary translation="${GLOSSARY_TOKEN_PREFIX}${index}__">${groups[`g${index}`]}</mstrans:dictionary>`;
+    }),
+    restore: (text, to) => text.replace(GLOSSARY_TOKEN_PATTERN, (token, index) => {
+      const term = terms[parseInt(index)];
+      return term ? (term.targets[to.toLowerCase()] ?? term.source) : token;
+    }),
+  };
+}
 
-    let originResponse;
+/**
+ * 一个 Translator 批量请求的 TM 和术语表上下文. 只用于有 `from` 的纯文本请求: 没有 `from` 时源站会返回
+ * detectedLanguage, includeAlignment / includeSentenceLength 的结果也无法在本地构造
+ * @param {Request} request - The Translator request.
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route, with `translationMemory: true`.
+ * @returns {Promise<{from: string, to: Array<string>, glossary: object|null}|null>}
+ */
+async function translationContext(request, env, route) {
+  if (!route.translationMemory) {
+    return null;
+  }
+  const url = new URL(request.url);
+  const { from, to } = translatorLanguages(request);
+  if (!from || to.length === 0 ||
+      url.searchParams.get('includeAlignment') === 'true' || url.searchParams.get('includeSentenceLength') === 'true') {
+    return null;
+  }
+  let glossary = null;
+  if ((url.searchParams.get('textType') || 'plain').toLowerCase() === 'plain') {
     try {
-        originResponse = await fetch(originRequest);
+      glossary = await compileGlossary((await loadGlossary(env))[from.toLowerCase()]);
     } catch (e) {
-        console.error(`Error fetching from origin: ${e}`);
-        return new Response(`Failed to fetch from origin: ${e.message}`, { status: 502 });
+      console.error(`Invalid glossary, translating without it: ${e}`);
     }
+  }
+  return { from, to, glossary };
+}
+
+/**
+ * 在 TM 中查找整句完全匹配的译文 (每个目标语言都要有)
+ * @param {object} env - Worker env.
+ * @param {{from: string, to: Array<string>}} context - See translationContext.
+ * @param {Array<object>} items - The Translator items.
+ * @returns {Promise<Array<object|null>>} - Per item, a result in Translator's shape or null.
+ */
+async function lookupTranslationMemory(env, context, items) {
+  const memory = getTranslationMemory(env);
+  const texts = [...new Set(items.map(item => item.text))];
+  const matches = new Map();
+  await Promise.all(texts.map(async text => {
+    try {
+      const entries = await Promise.all(context.to.map(async to => memory.get(await tmEntryKey(context.from, to, text))));
+      if (entries.every(entry => entry && entry.source === text)) {
+        matches.set(text, { translations: entries.map((entry, i) => ({ text: entry.target, to: context.to[i] })) });
+      }
+    } catch (e) {
+      console.error(`Translation memory lookup failed: ${e}`);
+    }
+  }));
+  return items.map(item => matches.get(item.text) || null);
+}
 
-    // Clone responses for caching and returning
-    const responseToCache = originResponse.clone();
-    const responseToReturn = originResponse.clone();
+/**
+ * 解析 CSV (RFC 4180: 双引号包围的字段可以包含逗号、换行和 "" 转义)
+ * @param {string} text - The CSV document.
+ * @returns {Array<Array<string>>} - Rows of fields.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+}
 
-    // --- 3. Try to Cache the Origin Response ---
-    const cacheControl = responseToCache.headers.get('Cache-Control')?.toLowerCase();
-    const pragma = responseToCache.headers.get('Pragma')?.toLowerCase();
+/**
+ * CSV 字段, 需要时加引号
+ * @param {string} value - The field.
+ * @returns {string}
+ */
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
 
-    // Modify shouldCache condition to potentially include POST
-    const shouldCache =
-        (isCacheableMethod || forceCache) && // Allow cacheable methods or if forced
-        responseToCache.status >= 200 && responseToCache.status < 300 &&
-        (!cacheControl || (!cacheControl.includes('no-cache') && !cacheControl.includes('no-store'))) &&
-        (!pragma || !pragma.includes('no-cache'));
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
 
-    if (shouldCache && !bypassCache) {
-        let ttl = DEFAULT_CACHE_TTL_SECONDS;
-        const customTtlHeader = request.headers.get(CACHE_CONTROL_HEADER);
-        if (customTtlHeader && customTtlHeader.startsWith('max-age=')) {
-            ttl = parseInt(customTtlHeader.split('=')[1]) || DEFAULT_CACHE_TTL_SECONDS;
-        } else if (cacheControl && cacheControl.includes('max-age=')) {
-            const maxAgeMatch = cacheControl.match(/max-age=(\d+)/);
-            if (maxAgeMatch) { ttl = parseInt(maxAgeMatch[1]); }
-        }
-        //console.log(`Attempting to cache response for key: ${cacheKey} with TTL: ${ttl} seconds`);
+/**
+ * XML 文本转义
+ * @param {string} text - Plain text.
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return text.replace(/[&<>"']/g, char => `&${Object.keys(XML_ENTITIES).find(name => XML_ENTITIES[name] === char)};`);
+}
 
-        try {
-            // Read body from the response clone
-            // Decide how to store the body. Storing as text is often safer
-            // unless you know it's always JSON or need ArrayBuffer.
-            const bodyText = await responseToCache.text();
-
-            const headersToStore = {};
-            for (const [key, value] of responseToCache.headers.entries()) {
-                headersToStore[key] = value;
-            }
-            const dataToStore = {
-                body: bodyText, // Store body as text
-                status: responseToCache.status,
-                headers: headersToStore,
-            };
-            const expirationTimestamp = new Date().getTime() + ttl * 1000;
-            ctx.waitUntil(
-                env.API_CACHE_BUCKET.put(cacheKey, JSON.stringify(dataToStore), {
-                    customMetadata: {
-                        expiration: expirationTimestamp.toString(),
-                    },
-                    // expirationTtl: ttl // Alternative: Let R2 handle deletion
-                })
-                .then(() => {
-                  //console.log(`Successfully cached response for key: ${cacheKey}`);
-                })
-                .catch(e => console.error(`Failed to cache response for ${cacheKey}: ${e}`))
-            );
-        } catch (e) {
-            console.error(`Failed to read response body: ${e}`);
-        }
-    } else {
-        console.log(`Response for ${cacheKey} will not be cached (Method: ${request.method}, Status: ${responseToCache.status}, CacheableMethod: ${isCacheableMethod}, Cache-Control: ${cacheControl}, Pragma: ${pragma}, Bypass: ${bypassCache})`);
+/**
+ * XML 文本反转义 (预定义实体和数字字符引用)
+ * @param {string} text - Escaped text.
+ * @returns {string}
+ */
+function unescapeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1)));
     }
+    return XML_ENTITIES[name] ?? entity;
+  });
+}
 
-    // --- 4. Return the Response (from Origin) ---
-    const finalResponseHeaders = new Headers(responseToReturn.headers);
-    finalResponseHeaders.set('X-Cache-Status', 'MISS');
-    finalResponseHeaders.set('X-Cache-Key', cacheKey); // Good for debugging
-
-    return new Response(responseToReturn.body, {
-        status: responseToReturn.status,
-        statusText: responseToReturn.statusText,
-        headers: finalResponseHeaders,
-    });
+/**
+ * 解析 TMX 1.4: 每个 <tu> 中源语言的 <tuv> 与其他每个 <tuv> 组成一条记录. 源语言取 <tu> 的 srclang,
+ * 其次是 <header> 的 srclang (`*all*` 时取第一个 <tuv>); <seg> 中的行内标记被去掉
+ * @param {string} text - The TMX document.
+ * @returns {Array<{from: string, to: string, source: string, target: string}>}
+ */
+function parseTmx(text) {
+  const attribute = (attributes, name) => attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*["']([^"']*)["']`))?.[1] ?? null;
+  const headerSrclang = attribute(text.match(/<header\b([^>]*)>/)?.[1] || '', 'srclang');
+  const pairs = [];
+  for (const [, tuAttributes, tuBody] of text.matchAll(/<tu\b([^>]*)>([\s\S]*?)<\/tu>/g)) {
+    const variants = [...tuBody.matchAll(/<tuv\b([^>]*)>[\s\S]*?<seg>([\s\S]*?)<\/seg>[\s\S]*?<\/tuv>/g)].map(([, attributes, seg]) => ({
+      lang: attribute(attributes, 'xml:lang') || attribute(attributes, 'lang'),
+      text: unescapeXml(seg.replace(/<[^>]*>/g, '')),
+    })).filter(variant => variant.lang);
+    let srclang = attribute(tuAttributes, 'srclang') || headerSrclang;
+    if (!srclang || srclang === '*all*') {
+      srclang = variants[0]?.lang;
+    }
+    const source = variants.find(variant => variant.lang.toLowerCase() === srclang?.toLowerCase());
+    for (const variant of variants) {
+      if (source && variant !== source) {
+        pairs.push({ from: source.lang, to: variant.lang, source: source.text, target: variant.text });
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * 解析要导入的 TM 文档 (TMX 或带表头 from,to,source,target 的 CSV)
+ * @param {string} format - `tmx` or `csv`.
+ * @param {string} text - The document.
+ * @returns {{pairs: Array<{from: string, to: string, source: string, target: string}>, skipped: number}}
+ *   The complete pairs, and how many incomplete ones were dropped. Throws on malformed documents.
+ */
+function parseTranslationMemory(format, text) {
+  let pairs;
+  if (format === 'tmx') {
+    pairs = parseTmx(text);
+  } else {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    const columns = Object.fromEntries((header || []).map((name, i) => [name.trim().toLowerCase(), i]));
+    if (!['from', 'to', 'source', 'target'].every(name => name in columns)) {
+      throw new Error('CSV needs a header row with from, to, source and target columns');
+    }
+    pairs = rows.map(row => ({ from: row[columns.from], to: row[columns.to], source: row[columns.source], target: row[columns.target] }));
+  }
+  const valid = pairs.filter(pair => pair.from && pair.to && pair.source && typeof pair.target === 'string');
+  return { pairs: valid, skipped: pairs.length - valid.length };
+}
+
+/**
+ * 导入 TM, 已有的记录被覆盖. 每次最多写入 TM_ADMIN_MAX_ENTRIES 条, 剩下的用返回的 cursor 再提交同一份文档继续
+ * @param {object} env - Worker env.
+ * @param {Array<object>} pairs - Pairs from parseTranslationMemory.
+ * @param {number} start - Index of the first pair to write (the cursor of the previous call, or 0).
+ * @returns {Promise<{imported: number, cursor: string|null}>} - Pairs written by this call, and where to resume.
+ *   Throws on storage errors.
+ */
+async function importTranslationMemory(env, pairs, start) {
+  const memory = getTranslationMemory(env);
+  const updated = new Date().toISOString();
+  const end = Math.min(pairs.length, start + TM_ADMIN_MAX_ENTRIES);
+  for (let i = start; i < end; i += TM_IMPORT_BATCH_SIZE) {
+    await Promise.all(pairs.slice(i, Math.min(end, i + TM_IMPORT_BATCH_SIZE)).map(async pair =>
+      memory.put(await tmEntryKey(pair.from, pair.to, pair.source), { ...pair, updated })));
+  }
+  return { imported: Math.max(0, end - start), cursor: end < pairs.length ? end.toString() : null };
+}
+
+/**
+ * 导出 TM 为 TMX 或 CSV, 可以按源语言 (和目标语言) 过滤. 每次最多 TM_ADMIN_MAX_ENTRIES 条,
+ * 还有更多时响应带 X-TM-Cursor 头, 用 ?cursor= 取下一部分
+ * @param {object} env - Worker env.
+ * @param {string} format - `tmx` or `csv`.
+ * @param {string|null} from - Source language filter.
+ * @param {string|null} to - Target language filter, used together with `from`.
+ * @param {string|undefined} cursor - Cursor from a previous call.
+ * @returns {Promise<Response>} - The document. Throws on storage errors.
+ */
+async function exportTranslationMemory(env, format, from, to, cursor) {
+  const memory = getTranslationMemory(env);
+  let prefix = TM_ENTRY_PREFIX;
+  if (from) {
+    prefix += `${from.toLowerCase()}/${to ? `${to.toLowerCase()}/` : ''}`;
+  }
+  const entries = [];
+  let read = 0;
+  do {
+    const page = await memory.list(prefix, cursor, TM_ADMIN_MAX_ENTRIES - read);
+    read += page.keys.length;
+    entries.push(...(await Promise.all(page.keys.map(key => memory.get(key)))).filter(Boolean));
+    cursor = page.cursor || undefined;
+  } while (cursor && read < TM_ADMIN_MAX_ENTRIES);
+  const headers = cursor ? { 'X-TM-Cursor': cursor } : {};
+
+  if (format === 'csv') {
+    const lines = ['from,to,source,target', ...entries.map(entry => [entry.from, entry.to, entry.source, entry.target].map(csvField).join(','))];
+    return new Response(`${lines.join('\r\n')}\r\n`, {
+      headers: { ...headers, 'content-type': 'text/csv; charset=utf-8', 'content-disposition': 'attachment; filename="translation-memory.csv"' },
+    });
+  }
+  const units = entries.map(entry =>
+    `    <tu srclang="${escapeXml(entry.from)}">\n` +
+    `      <tuv xml:lang="${escapeXml(entry.from)}"><seg>${escapeXml(entry.source)}</seg></tuv>\n` +
+    `      <tuv xml:lang="${escapeXml(entry.to)}"><seg>${escapeXml(entry.target)}</seg></tuv>\n` +
+    '    </tu>');
+  const tmx = '<?xml version="1.0" encoding="UTF-8"?>\n<tmx version="1.4">\n' +
+    `  <header creationtool="cloudflare-cache" creationtoolversion="1" segtype="sentence" o-tmf="json" adminlang="en" srclang="${escapeXml(from || '*all*')}" datatype="plaintext"/>\n` +
+    `  <body>\n${units.join('\n')}${units.length ? '\n' : ''}  </body>\n</tmx>\n`;
+  return new Response(tmx, {
+    headers: { ...headers, 'content-type': 'application/x-tmx+xml; charset=utf-8', 'content-disposition': 'attachment; filename="translation-memory.tmx"' },
+  });
+}
+
+// --- Vary, conditional requests and content encoding ---
+
+// Vary lists learned from the origin, per base cache key; base keys missing here are looked up in R2 as-is
+const varyIndex = new Map();
+
+/**
+ * 解析源站的 Vary 头, 去掉 worker 自己处理的头 (Accept-Encoding)
+ * @param {string|null} value - The Vary header value.
+ * @returns {Array<string>} - Sorted lowercase header names, ['*'] if the response varies on everything.
+ */
+function parseVary(value) {
+  const names = (value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  if (names.includes('*')) {
+    return ['*'];
+  }
+  return [...new Set(names)].filter(name => !UNKEYED_VARY_HEADERS.includes(name)).sort();
+}
+
+/**
+ * 把 Vary 列出的请求头折叠进缓存键: `<baseKey>:vary=<请求头值的哈希>`
+ * @param {string} baseKey - The key from generateCacheKey.
+ * @param {Request} request - The request whose header values select the variant.
+ * @param {Array<string>} varyHeaders - Header names from parseVary.
+ * @returns {Promise<string>} - The variant key, or baseKey when nothing varies.
+ */
+async function variantCacheKey(baseKey, request, varyHeaders) {
+  if (varyHeaders.length === 0) {
+    return baseKey;
+  }
+  const values = varyHeaders.map(name => `${name}:${(request.headers.get(name) || '').trim()}`).join('\n');
+  return `${baseKey}${VARY_KEY_SEPARATOR}${await calculateSHA256(values)}`;
+}
+
+/**
+ * 变体键对应的基础键
+ * @param {string} cacheKey - A base or variant key.
+ * @returns {string} - The base key.
+ */
+function baseCacheKey(cacheKey) {
+  const separator = cacheKey.lastIndexOf(VARY_KEY_SEPARATOR);
+  return separator === -1 ? cacheKey : cacheKey.slice(0, separator);
+}
+
+/**
+ * R2 中基础键上的对象是否是 Vary 指针 (只记录 Vary 列表, 响应本身存在变体键上)
+ * @param {object} object - R2 object or head.
+ * @returns {boolean}
+ */
+function isVaryPointer(object) {
+  return object.customMetadata?.vary !== undefined;
+}
+
+function rememberVary(baseKey, varyHeaders) {
+  if (varyHeaders.length === 0) {
+    varyIndex.delete(baseKey);
+    return;
+  }
+  if (varyIndex.size >= VARY_INDEX_MAX_KEYS) {
+    varyIndex.clear();
+  }
+  varyIndex.set(baseKey, varyHeaders);
+}
+
+/**
+ * 本 isolate 已知的变体键; 还不知道源站是否 Vary 时返回基础键, 由 R2 中的指针纠正
+ * @param {string} baseKey - The key from generateCacheKey.
+ * @param {Request} request - The incoming request.
+ * @returns {Promise<string>}
+ */
+async function knownVariantKey(baseKey, request) {
+  return variantCacheKey(baseKey, request, varyIndex.get(baseKey) || []);
+}
+
+/**
+ * 客户端可接受的压缩格式 (CompressionStream 支持 gzip 和 deflate)
+ * @param {string|null} acceptEncoding - The client's Accept-Encoding header.
+ * @returns {string|null} - 'gzip', 'deflate' or null for identity.
+ */
+function preferredEncoding(acceptEncoding) {
+  const weights = {};
+  for (const part of (acceptEncoding || '').split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    if (!name) {
+      continue;
+    }
+    const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    weights[name] = q ? parseFloat(q.slice(2)) || 0 : 1;
+  }
+  const weight = encoding => weights[encoding] ?? weights['*'] ?? 0;
+  const encoding = ['gzip', 'deflate'].sort((a, b) => weight(b) - weight(a))[0];
+  return weight(encoding) > 0 ? encoding : null;
+}
+
+/**
+ * 按客户端的 Accept-Encoding 编码响应. 缓存和源站给出的 body 都是解码后的,
+ * 所以原有的 Content-Encoding/Content-Length 一律丢弃, 可压缩的类型按需重新压缩
+ * @param {Request} request - The incoming request.
+ * @param {Response} response - The response for the client.
+ * @returns {Response} - The response, re-encoded where needed.
+ */
+function encodeForClient(request, response) {
+  const compressible = COMPRESSIBLE_CONTENT_TYPE.test(response.headers.get('content-type') || '');
+  if (!response.body || (!compressible && !response.headers.has('content-encoding'))) {
+    return response;
+  }
+  const headers = new Headers(response.headers);
+  headers.delete('content-encoding');
+  headers.delete('content-length');
+  let body = response.body;
+  if (compressible) {
+    const vary = headers.get('Vary');
+    if (!parseVary(vary).includes('*') && !/(^|,)\s*accept-encoding\s*(,|$)/i.test(vary || '')) {
+      headers.set('Vary', vary ? `${vary}, Accept-Encoding` : 'Accept-Encoding');
+    }
+    const encoding = preferredEncoding(request.headers.get('Accept-Encoding'));
+    if (encoding) {
+      body = body.pipeThrough(new CompressionStream(encoding));
+      headers.set('content-encoding', encoding);
+    }
+  }
+  // encodeBody 'manual': the body is already encoded, the runtime must not compress it again
+  return new Response(body, { status: response.status, statusText: response.statusText, headers, encodeBody: 'manual' });
+}
+
+/**
+ * If-None-Match 中是否有和 ETag 弱匹配的值 (RFC 9110 13.1.2)
+ * @param {string} ifNoneMatch - The If-None-Match header.
+ * @param {string} etag - The response ETag.
+ * @returns {boolean}
+ */
+function etagMatches(ifNoneMatch, etag) {
+  const opaque = tag => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => opaque(tag) === opaque(etag));
+}
+
+/**
+ * 按客户端的 If-None-Match / If-Modified-Since 回答 304 (只针对 GET/HEAD 的 200 响应)
+ * @param {Request} request - The incoming request.
+ * @param {Response} response - The full response, from the cache or the origin.
+ * @returns {Response} - A 304 when the client's copy is current, otherwise the response itself.
+ */
+function answerConditionally(request, response) {
+  if (!['GET', 'HEAD'].includes(request.method) || response.status !== 200) {
+    return response;
+  }
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since'));
+  const etag = response.headers.get('ETag');
+  const lastModified = Date.parse(response.headers.get('Last-Modified'));
+  // If-Modified-Since is ignored when If-None-Match is present
+  const notModified = ifNoneMatch
+    ? Boolean(etag) && etagMatches(ifNoneMatch, etag)
+    : !Number.isNaN(ifModifiedSince) && !Number.isNaN(lastModified) && lastModified <= ifModifiedSince;
+  if (!notModified) {
+    return response;
+  }
+  response.body?.cancel();
+  const headers = new Headers();
+  for (const [key, value] of response.headers.entries()) {
+    if (NOT_MODIFIED_HEADERS.includes(key)) {
+      headers.set(key, value);
+    }
+  }
+  return new Response(null, { status: 304, headers });
+}
+
+// --- L1 cache (Cache API in front of R2) ---
+
+// L1 generation cached per isolate. Purges write a new generation to R2, which retires every L1 entry
+// in every data center once isolates refresh it (caches.default itself is per data center).
+let l1Generation = { value: null, loadedAt: 0 };
+
+/**
+ * L1 缓存: caches.default. 在 Workers 之外 (例如本地测试) 或 L1_CACHE=off 时为 null
+ * @param {object} env - Worker env.
+ * @returns {Cache|null}
+ */
+function getL1Cache(env) {
+  return env.L1_CACHE !== 'off' && typeof caches !== 'undefined' ? caches.default : null;
+}
+
+/**
+ * 当前的 L1 代数, 每 L1_GENERATION_REFRESH_MS 从 R2 重新读取一次
+ * @param {object} env - Worker env.
+ * @returns {Promise<string>} - The generation, '0' before the first purge.
+ */
+async function currentL1Generation(env) {
+  const now = new Date().getTime();
+  if (l1Generation.value !== null && now - l1Generation.loadedAt < L1_GENERATION_REFRESH_MS) {
+    return l1Generation.value;
+  }
+  let value = '0';
+  try {
+    const object = await env.API_CACHE_BUCKET.get(L1_GENERATION_KEY);
+    if (object !== null) {
+      value = await object.text();
+    }
+  } catch (e) {
+    console.error(`Error reading L1 generation: ${e}`);
+  }
+  l1Generation = { value, loadedAt: now };
+  return value;
+}
+
+/**
+ * 让所有 L1 条目失效 (R2 被清理之后调用)
+ * @param {object} env - Worker env.
+ */
+async function bumpL1Generation(env) {
+  const value = new Date().getTime().toString();
+  await env.API_CACHE_BUCKET.put(L1_GENERATION_KEY, value);
+  l1Generation = { value, loadedAt: new Date().getTime() };
+}
+
+/**
+ * cacheKey 对应的 L1 合成 GET 请求, POST 的缓存键也可以这样放进 Cache API
+ * @param {object} env - Worker env.
+ * @param {string} cacheKey - The cache key.
+ * @returns {Promise<Request>}
+ */
+async function l1Request(env, cacheKey) {
+  const generation = await currentL1Generation(env);
+  return new Request(`${L1_CACHE_ORIGIN}/${generation}/${encodeURIComponent(cacheKey)}`);
+}
+
+/**
+ * 从 L1 读取
+ * @param {object} env - Worker env.
+ * @param {string} cacheKey - The cache key.
+ * @returns {Promise<Response|null>} - A mutable copy of the cached response, or null on miss.
+ */
+async function readL1(env, cacheKey) {
+  const cache = getL1Cache(env);
+  if (!cache) {
+    return null;
+  }
+  try {
+    const cached = await cache.match(await l1Request(env, cacheKey));
+    if (!cached) {
+      return null;
+    }
+    const response = new Response(cached.body, cached);
+    // Restore the origin's Cache-Control, replaced by the L1 lifetime on write
+    const originCacheControl = response.headers.get('X-L1-Origin-Cache-Control');
+    response.headers.delete('X-L1-Origin-Cache-Control');
+    if (originCacheControl) {
+      response.headers.set('Cache-Control', originCacheControl);
+    } else {
+      response.headers.delete('Cache-Control');
+    }
+    return response;
+  } catch (e) {
+    console.error(`Error reading from L1: ${cacheKey}: ${e}`);
+    return null;
+  }
+}
+
+/**
+ * 写入 L1, 生命周期不超过 R2 条目的剩余时间, 也不超过 L1_CACHE_TTL_SECONDS
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @param {string} cacheKey - The cache key.
+ * @param {Response} response - The response to store; its body is consumed.
+ * @param {string|undefined} expiration - The R2 entry's customMetadata.expiration.
+ */
+function writeL1(env, ctx, cacheKey, response, expiration) {
+  const cache = getL1Cache(env);
+  if (!cache) {
+    return;
+  }
+  const remaining = expiration ? Math.floor((parseInt(expiration) - new Date().getTime()) / 1000) : Infinity;
+  const ttl = Math.min(remaining, parseInt(env.L1_CACHE_TTL_SECONDS) || DEFAULT_L1_CACHE_TTL_SECONDS);
+  if (ttl <= 0) {
+    return;
+  }
+  const headers = new Headers(response.headers);
+  if (headers.has('Cache-Control')) {
+    headers.set('X-L1-Origin-Cache-Control', headers.get('Cache-Control'));
+  }
+  headers.set('Cache-Control', `max-age=${ttl}`);
+  headers.delete('Set-Cookie');
+  ctx.waitUntil(
+    l1Request(env, cacheKey)
+      .then(l1 => cache.put(l1, new Response(response.body, { status: response.status, headers })))
+      .catch(e => console.error(`Failed to write L1 for ${cacheKey}: ${e}`))
+  );
+}
+
+/**
+ * 读取单条翻译结果: 先查 L1, 再查 R2 (命中的新鲜条目写回 L1). 超出所有宽限窗口的条目会被删除
+ * @param {object} env - Worker env with API_CACHE_BUCKET.
+ * @param {object} ctx - Execution context.
+ * @param {string} key - Item cache key.
+ * @param {{staleWhileRevalidate: number, staleIfError: number, minFresh: number, useL1: boolean}} staleWindows - See resolveStaleWindows.
+ * @returns {Promise<{value: object, stale: number, expired: number, tier: string}|null>} - The cached Translator
+ *   result item, how many seconds it is past expiration (with and without min-fresh) and which tier (L1/L2)
+ *   served it, or null on miss.
+ */
+async function readCachedItem(env, ctx, key, staleWindows) {
+  try {
+    const l1Response = staleWindows.useL1 ? await readL1(env, key) : null;
+    if (l1Response) {
+      return { value: await l1Response.json(), stale: 0, expired: 0, tier: 'L1' };
+    }
+    const object = await env.API_CACHE_BUCKET.get(key);
+    if (object === null) {
+      return null;
+    }
+    const stale = secondsPastExpiration(object, staleWindows.minFresh);
+    const expired = secondsPastExpiration(object);
+    if (expired > Math.max(staleWindows.staleWhileRevalidate, staleWindows.staleIfError)) {
+      ctx.waitUntil(env.API_CACHE_BUCKET.delete(key));
+      return null;
+    }
+    const value = await object.json();
+    if (stale === 0) {
+      const itemResponse = new Response(JSON.stringify(value), { headers: { 'content-type': 'application/json' } });
+      writeL1(env, ctx, key, itemResponse, object.customMetadata?.expiration);
+      touchCacheEntry(env, ctx, key, object);
+    }
+    return { value, stale, expired, tier: 'L2' };
+  } catch (e) {
+    console.error(`Error reading item from R2: ${key}: ${e}`);
+    return null;
+  }
+}
+
+/**
+ * 把一组 Translator 元素发送到源站
+ * @param {Request} request - The original request.
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route.
+ * @param {Array<object>} items - The items to translate.
+ * @param {object|null} [glossary] - Compiled glossary (see compileGlossary): its terms are protected in the
+ *   text sent to the origin and replaced with their translations in the results.
+ * @returns {Promise<{response: Response, results: Array<object>|null}>} - The origin response and,
+ *   for 2xx responses, one result per item. Throws on network errors or a malformed 2xx body.
+ */
+async function translateItems(request, env, route, items, glossary = null) {
+  const sentItems = glossary ? items.map(item => ({ ...item, text: glossary.protect(item.text) })) : items;
+  const response = await fetchFromOrigin(request, env, route, buildOriginRequest(request, env, route, JSON.stringify(sentItems), { cacheable: true }), { cacheable: true });
+  if (response.status < 200 || response.status >= 300) {
+    return { response, results: null };
+  }
+  let results;
+  try {
+    results = await response.json();
+  } catch (e) {
+    results = null;
+  }
+  if (!Array.isArray(results) || results.length !== items.length) {
+    throw new Error(`Origin returned ${results?.length} results for ${items.length} items`);
+  }
+  if (glossary) {
+    results = results.map(result => ({
+      ...result,
+      translations: result?.translations?.map(translation => ({ ...translation, text: glossary.restore(translation.text, translation.to) })),
+    }));
+  }
+  return { response, results };
+}
+
+/**
+ * 把源站返回的单条翻译结果写入 R2
+ * @param {Request} request - The original request.
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @param {object} route - The matched route.
+ * @param {Array<string>} keys - Item cache keys.
+ * @param {Array<object>} results - One result per key.
+ * @param {Response} originResponse - The origin response (for its caching headers).
+ */
+function storeItems(request, env, ctx, route, keys, results, originResponse) {
+  if (!isCacheableResponse(env, route, originResponse.status, originResponse.headers)) {
+    return;
+  }
+  const problems = validatesOriginResponses(route) ? validateOriginPayload(route, results) : [];
+  if (problems.length > 0) {
+    console.error(`Origin results for ${route.prefix} failed validation, not cached: ${problems.join('; ')}`);
+    return;
+  }
+  const expirationTimestamp = new Date().getTime() + resolveTtl(request, env, route, originResponse.status, originResponse.headers) * 1000;
+  keys.forEach((key, j) => {
+    ctx.waitUntil(
+      env.API_CACHE_BUCKET.put(key, JSON.stringify(results[j]), {
+        customMetadata: {
+          expiration: expirationTimestamp.toString(),
+        },
+      })
+      .catch(e => console.error(`Failed to cache item ${key}: ${e}`))
+    );
+  });
+}
+
+/**
+ * 处理 Translator 数组请求: 每个元素单独缓存, 只把未命中的元素发送到源站,
+ * 再按原始顺序合并缓存结果和新结果
+ * @param {Request} request - The original request.
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @param {object} route - The matched route.
+ * @param {ClientQuota|null} quota - The caller's quota; only characters sent to the origin are charged.
+ * @param {Array<object>} items - The parsed Translator array body.
+ * @param {string} itemKeyPrefix - Key prefix for the items, see generateItemCacheKey.
+ * @returns {Promise<Response>} - The merged response.
+ */
+async function handleTranslatorBatch(request, env, ctx, route, quota, items, itemKeyPrefix) {
+  const staleWindows = resolveStaleWindows(request, env, route);
+  // Exact translation memory matches are answered locally; a glossary change retires the cached translations
+  const memory = await translationContext(request, env, route);
+  const glossary = memory?.glossary || null;
+  if (glossary) {
+    itemKeyPrefix = `${itemKeyPrefix}:glossary=${glossary.version}`;
+  }
+  // Only the first texts that fit the storage call budget use the item cache and the translation memory;
+  // the rest are sent to the origin uncached
+  const lookupBudget = maxItemLookups(env, route);
+  const lookupsPerText = itemCacheLookupsPerText(env) + (memory ? memory.to.length : 0);
+  const texts = [...new Set(items.map(item => item.text))];
+  const cachedTexts = new Set(texts.slice(0, Math.floor(lookupBudget / lookupsPerText)));
+  if (cachedTexts.size < texts.length) {
+    console.log(`Batch of ${texts.length} texts exceeds ${lookupBudget} lookups on ${route.prefix}: ${cachedTexts.size} looked up, the rest sent uncached`);
+  }
+  const cachedItems = items.filter(item => cachedTexts.has(item.text));
+  const memoryResults = memory ? await lookupTranslationMemory(env, memory, cachedItems) : [];
+  const memoryByText = new Map(cachedItems.map((item, i) => [item.text, memoryResults[i]]));
+  const memoryMatches = items.map(item => memoryByText.get(item.text) || null);
+  const itemKeys = await Promise.all(items.map(item => generateItemCacheKey(itemKeyPrefix, item.text)));
+  // Repeated strings are read once
+  const reads = new Map();
+  const entries = await Promise.all(itemKeys.map((key, i) => {
+    if (memoryMatches[i]) {
+      return { value: memoryMatches[i], stale: 0, expired: 0, tier: 'TM' };
+    }
+    if (!reads.has(key)) {
+      reads.set(key, cachedTexts.has(items[i].text) ? readCachedItem(env, ctx, key, staleWindows) : null);
+    }
+    return reads.get(key);
+  }));
+  // Fresh entries and entries inside the stale-while-revalidate window are served as-is
+  const results = entries.map(entry =>
+    entry && entry.stale <= staleWindows.staleWhileRevalidate ? entry.value : null);
+
+  // Collect the uncached and the stale items, sending repeated strings only once
+  const missKeys = [];
+  const missItems = [];
+  const refreshKeys = [];
+  const refreshItems = [];
+  itemKeys.forEach((key, i) => {
+    if (results[i] === null && !missKeys.includes(key)) {
+      missKeys.push(key);
+      missItems.push(items[i]);
+    } else if (results[i] !== null && entries[i].stale > 0 && !refreshKeys.includes(key)) {
+      refreshKeys.push(key);
+      refreshItems.push(items[i]);
+    }
+  });
+  const hitCount = results.filter(result => result !== null).length;
+  cachedCharacterStats.set(request, billedCharacters(request, items.filter((item, i) => results[i] !== null)));
+  const hitTier = entries.every(entry => entry?.tier === 'L1') ? 'HIT-L1' : (entries.every(entry => entry?.tier === 'TM') ? 'HIT-TM' : 'HIT-L2');
+  let cacheStatus = hitCount === items.length ? hitTier : (hitCount === 0 ? 'MISS' : 'PARTIAL');
+  if (refreshKeys.length > 0) {
+    cacheStatus = 'STALE';
+    // Concurrent requests serving the same stale items share one refresh
+    ctx.waitUntil(
+      coalesce(`refresh:${refreshKeys.join('|')}`, async () => {
+        const { response, results: freshResults } = await translateItems(request, env, route, refreshItems, glossary);
+        if (freshResults) {
+          storeItems(request, env, ctx, route, refreshKeys, freshResults, response);
+        }
+      })
+        .catch(e => console.error(`Background refresh failed: ${e}`))
+    );
+  }
+
+  const responseHeaders = new Headers({ 'content-type': 'application/json; charset=utf-8' });
+  if (missItems.length > 0) {
+    // Falls back to entries inside the stale-if-error window when the origin fails
+    const serveStaleOnError = () => {
+      const fallback = entries.map(entry => entry && entry.expired <= staleWindows.staleIfError ? entry.value : null);
+      if (fallback.includes(null)) {
+        return null;
+      }
+      responseHeaders.set('X-Cache-Status', 'STALE');
+      responseHeaders.set('X-Cache-Items', `${items.length}/${items.length}`);
+      cachedCharacterStats.set(request, billedCharacters(request, items));
+      return new Response(JSON.stringify(fallback), { status: 200, headers: responseHeaders });
+    };
+
+    const missCharacters = billedCharacters(request, missItems);
+    const quotaExceeded = quota && await quota.checkCharacters(missCharacters);
+    if (quotaExceeded) {
+      return quotaExceeded;
+    }
+
+    // Identical concurrent batches share one origin call, charged to the caller that made it
+    let originSnapshot;
+    let freshResults;
+    try {
+      ({ snapshot: originSnapshot, results: freshResults } = await coalesce(`batch:${missKeys.join('|')}`, async () => {
+        const { response, results: translated } = await translateItems(request, env, route, missItems, glossary);
+        if (translated) {
+          const stored = missItems.map(item => cachedTexts.has(item.text));
+          storeItems(request, env, ctx, route, missKeys.filter((key, j) => stored[j]), translated.filter((result, j) => stored[j]), response);
+          if (quota) {
+            quota.chargeCharacters(ctx, missCharacters);
+          }
+        }
+        return { snapshot: await snapshotResponse(response, 'MISS'), results: translated };
+      }));
+    } catch (e) {
+      console.error(`Error fetching from origin: ${e}`);
+      return serveStaleOnError() || originErrorResponse(e);
+    }
+
+    // Errors are passed through untouched, nothing is cached
+    if (!freshResults) {
+      const staleResponse = originSnapshot.status >= 500 ? serveStaleOnError() : null;
+      if (staleResponse) {
+        return staleResponse;
+      }
+      return responseFromSnapshot(originSnapshot, null);
+    }
+
+    missKeys.forEach((key, j) => {
+      itemKeys.forEach((itemKey, i) => {
+        if (itemKey === key) { results[i] = freshResults[j]; }
+      });
+    });
+
+    for (const [key, value] of originSnapshot.headers) {
+      responseHeaders.set(key, value);
+    }
+    responseHeaders.delete('content-length');
+    responseHeaders.delete('content-encoding');
+  }
+
+  responseHeaders.set('X-Cache-Status', cacheStatus);
+  responseHeaders.set('X-Cache-Items', `${hitCount}/${items.length}`);
+  if (memory) {
+    responseHeaders.set('X-Translation-Memory-Items', `${memoryMatches.filter(Boolean).length}/${items.length}`);
+  }
+  return new Response(JSON.stringify(results), { status: 200, headers: responseHeaders });
+}
+
+/**
+ * 记录请求的详细信息 (结构化日志中请求的部分)。敏感请求头会被脱敏,
+ * POST/PUT/PATCH 的 body 按 LOG_BODY_SAMPLE_RATE 抽样记录。
+ * @param {Request} request - Cloudflare Worker 接收到的请求对象
+ * @param {object} env - Worker env.
+ * @returns {Promise<object>} - The log record, completed by finishRequestLog.
+ */
+async function logRequestDetails(request, env) {
+  const url = new URL(request.url);
+  for (const param of REDACTED_QUERY_PARAMS) {
+    if (url.searchParams.has(param)) {
+      url.searchParams.set(param, '[REDACTED]');
+    }
+  }
+
+  // 准备一个对象来存储请求信息
+  const requestData = {
+    timestamp: new Date().toISOString(),
+    method: request.method,
+    path: url.pathname,
+    query: url.search,
+    headers: {}, // Headers 对象需要转换
+    colo: request.cf?.colo, // Cloudflare 特定信息
+    country: request.cf?.country,
+    requestBytes: parseInt(request.headers.get('content-length')) || null,
+  };
+
+  // 将 Headers 对象转换为普通 JavaScript 对象, 密钥类的头只记录 [REDACTED]
+  for (const [key, value] of request.headers.entries()) {
+    requestData.headers[key] = REDACTED_HEADERS.includes(key) ? '[REDACTED]' : value;
+  }
+
+  // 只有被抽样的请求才读取 body (GET/HEAD 请求 body 为 null)
+  const sampleRate = parseFloat(env.LOG_BODY_SAMPLE_RATE) || 0;
+  if (request.body && Math.random() < sampleRate) {
+    try {
+      // --- 关键步骤：克隆请求以读取 Body ---
+      const bodyContent = await request.clone().text();
+      requestData.requestBytes = new TextEncoder().encode(bodyContent).byteLength;
+      requestData.body = bodyContent.length > LOG_BODY_MAX_CHARS
+        ? `${bodyContent.slice(0, LOG_BODY_MAX_CHARS)}…`
+        : bodyContent;
+    } catch (error) {
+      console.error("Error reading request body:", error);
+      requestData.body = "[Error reading body]"; // 记录读取错误
+    }
+  }
+
+  return requestData;
+}
+
+/**
+ * 是否开启结构化请求日志 (LOG_REQUESTS=true 或配置了 LOG_SINK_URL)
+ * @param {object} env - Worker env.
+ * @returns {boolean}
+ */
+function isRequestLoggingEnabled(env) {
+  return env.LOG_REQUESTS === 'true' || Boolean(env.LOG_SINK_URL);
+}
+
+// Log lines waiting to be shipped to LOG_SINK_URL, batched per isolate
+let pendingLogLines = [];
+let pendingLogSince = 0;
+let logFlushScheduled = false;
+
+/**
+ * 补全日志记录 (状态码、缓存状态、源站耗时、响应大小) 并输出一行 JSON.
+ * 响应大小在 body 流完之后才知道, 所以日志在流结束时输出; 客户端中途断开的请求不会被记录.
+ * 发往 LOG_SINK_URL 的批次满了立即发送, 否则由开始这个批次的请求在 LOG_FLUSH_INTERVAL_MS 后发送
+ * @param {Request} request - The incoming request.
+ * @param {Response} response - The response that was returned.
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @param {object} record - The record from logRequestDetails.
+ * @param {number} startedAt - Timestamp when the request arrived.
+ * @param {number} responseBytes - Response body bytes sent to the client.
+ */
+function finishRequestLog(request, response, env, ctx, record, startedAt, responseBytes) {
+  record.status = response.status;
+  record.cacheStatus = response.headers.get('X-Cache-Status');
+  record.cacheKey = response.headers.get('X-Cache-Key');
+  record.origin = originCallStats.get(request) || null;
+  record.durationMs = new Date().getTime() - startedAt;
+  record.responseBytes = responseBytes;
+
+  const line = JSON.stringify(record);
+  if (!env.LOG_SINK_URL) {
+    console.log(line);
+    return;
+  }
+  const now = new Date().getTime();
+  if (pendingLogLines.length === 0) {
+    pendingLogSince = now;
+  }
+  pendingLogLines.push(line);
+  const flush = () => {
+    const batch = pendingLogLines;
+    pendingLogLines = [];
+    return batch.length > 0 ? sendToLoggingService(env, batch) : Promise.resolve();
+  };
+  const batchSize = parseInt(env.LOG_BATCH_SIZE) || DEFAULT_LOG_BATCH_SIZE;
+  if (pendingLogLines.length >= batchSize || now - pendingLogSince >= LOG_FLUSH_INTERVAL_MS) {
+    ctx.waitUntil(flush());
+  } else if (!logFlushScheduled) {
+    // Kept alive by this request, so a partial batch does not wait for the next request to arrive
+    logFlushScheduled = true;
+    ctx.waitUntil(new Promise(resolve => setTimeout(resolve, pendingLogSince + LOG_FLUSH_INTERVAL_MS - now)).then(() => {
+      logFlushScheduled = false;
+      return flush();
+    }));
+  }
+}
+
+/**
+ * 统计响应 body 的字节数, 流结束时回调 (没有 body 时立即回调)
+ * @param {Response} response - The response being returned.
+ * @param {function(number): void} onComplete - Called with the byte count once the body has been sent.
+ * @returns {Response} - The response, with its body wrapped to count bytes.
+ */
+function countResponseBytes(response, onComplete) {
+  if (!response.body) {
+    onComplete(0);
+    return response;
+  }
+  let responseBytes = 0;
+  const counter = new TransformStream({
+    transform(chunk, controller) {
+      responseBytes += chunk.byteLength;
+      controller.enqueue(chunk);
+    },
+    flush() {
+      onComplete(responseBytes);
+    },
+  });
+  return new Response(response.body.pipeThrough(counter), response);
+}
+
+/**
+ * 把一批日志 (NDJSON) 发送到 LOG_SINK_URL, 可选 LOG_SINK_TOKEN 作为 Bearer token
+ * @param {object} env - Worker env.
+ * @param {Array<string>} lines - JSON log lines.
+ */
+async function sendToLoggingService(env, lines) {
+  const headers = { "Content-Type": "application/x-ndjson" };
+  if (env.LOG_SINK_TOKEN) {
+    headers.Authorization = `Bearer ${env.LOG_SINK_TOKEN}`;
+  }
+  try {
+    const response = await fetch(env.LOG_SINK_URL, {
+      method: "POST",
+      headers,
+      body: `${lines.join('\n')}\n`,
+    });
+    if (!response.ok) {
+      console.error(`Log sink returned ${response.status} for ${lines.length} lines`);
+    }
+  } catch (error) {
+    console.error("Failed to send log to service:", error);
+  }
+}
+
+// --- Metrics ---
+
+// Characters of Translator text answered from the cache, per incoming request
+const cachedCharacterStats = new WeakMap();
+
+function emptyMetrics() {
+  return {
+    requests: {}, // X-Cache-Status -> count
+    originErrors: {}, // origin status (or 'error' for network errors, timeouts and an open circuit) -> count
+    originLatencyMs: { buckets: METRICS_LATENCY_BUCKETS_MS.map(() => 0), count: 0, sum: 0 },
+    bytesServedFromCache: 0,
+    charactersServedFromCache: 0,
+  };
+}
+
+/**
+ * 把一组增量合并到累计的指标中
+ * @param {object} target - Metrics from emptyMetrics, updated in place.
+ * @param {object} delta - Metrics to add.
+ * @returns {object} - The target.
+ */
+function mergeMetrics(target, delta) {
+  for (const field of ['requests', 'originErrors']) {
+    for (const [label, count] of Object.entries(delta[field])) {
+      target[field][label] = (target[field][label] || 0) + count;
+    }
+  }
+  delta.originLatencyMs.buckets.forEach((count, i) => { target.originLatencyMs.buckets[i] += count; });
+  target.originLatencyMs.count += delta.originLatencyMs.count;
+  target.originLatencyMs.sum += delta.originLatencyMs.sum;
+  target.bytesServedFromCache += delta.bytesServedFromCache;
+  target.charactersServedFromCache += delta.charactersServedFromCache;
+  return target;
+}
+
+/**
+ * 进程内的指标存储, 和 getMetricsStore 返回的接口相同; 本地测试时可以直接绑定为 env.CACHE_METRICS
+ */
+export class MemoryMetricsStore {
+  constructor() {
+    this.metrics = emptyMetrics();
+    this.since = new Date().toISOString();
+  }
+
+  async record(delta) {
+    mergeMetrics(this.metrics, delta);
+  }
+
+  async snapshot() {
+    return { since: this.since, ...structuredClone(this.metrics) };
+  }
+}
+
+/**
+ * Durable Object: 汇总所有 isolate 上报的指标, 持久化在 DO storage 中
+ */
+export class MetricsAggregator {
+  constructor(state, env) {
+    this.state = state;
+    this.store = null;
+  }
+
+  async load() {
+    if (!this.store) {
+      this.store = new MemoryMetricsStore();
+      const saved = await this.state.storage.get('metrics');
+      if (saved) {
+        this.store.metrics = saved.metrics;
+        this.store.since = saved.since;
+      }
+    }
+    return this.store;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const store = await this.load();
+    if (url.pathname === '/record' && request.method === 'POST') {
+      await store.record(await request.json());
+      await this.state.storage.put('metrics', { metrics: store.metrics, since: store.since });
+      return Response.json({ recorded: true });
+    }
+    if (url.pathname === '/snapshot') {
+      return Response.json(await store.snapshot());
+    }
+    return new Response('Not found', { status: 404 });
+  }
+}
+
+// Used when env.CACHE_METRICS is not bound: metrics then cover this isolate only
+const localMetricsStore = new MemoryMetricsStore();
+
+/**
+ * env.CACHE_METRICS 可以是 MetricsAggregator Durable Object namespace, 也可以是带 record/snapshot 的存储
+ * @param {object} env - Worker env.
+ * @returns {{record: function(object): Promise<void>, snapshot: function(): Promise<object>}}
+ */
+function getMetricsStore(env) {
+  const binding = env.CACHE_METRICS;
+  if (!binding) {
+    return localMetricsStore;
+  }
+  if (typeof binding.idFromName !== 'function') {
+    return binding;
+  }
+  const stub = () => binding.get(binding.idFromName('global'));
+  return {
+    record: async delta => {
+      await stub().fetch('https://cache-metrics/record', { method: 'POST', body: JSON.stringify(delta) });
+    },
+    snapshot: async () => (await stub().fetch('https://cache-metrics/snapshot')).json(),
+  };
+}
+
+// Metrics not yet sent to the MetricsAggregator, batched per isolate
+let pendingMetrics = emptyMetrics();
+let pendingMetricsSince = 0;
+let metricsFlushScheduled = false;
+
+/**
+ * 记录一个请求的指标. 发往 Durable Object 的指标按 METRICS_FLUSH_INTERVAL_MS 批量上报, 间隔内没有发送的部分
+ * 由第一个等待的请求在间隔结束时发送; 绑定了 Analytics Engine (env.METRICS_DATASET) 时每个请求另写一个数据点
+ * @param {Request} request - The incoming request.
+ * @param {Response} response - The response that was returned.
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @param {number} responseBytes - Response body bytes sent to the client.
+ */
+function recordRequestMetrics(request, response, env, ctx, responseBytes) {
+  const cacheStatus = response.headers.get('X-Cache-Status') || 'NONE';
+  const origin = originCallStats.get(request);
+  const fromCache = cacheStatus.startsWith('HIT') || cacheStatus === 'STALE' || cacheStatus === 'REVALIDATED';
+  const cachedCharacters = cachedCharacterStats.get(request) || 0;
+
+  const delta = emptyMetrics();
+  delta.requests[cacheStatus] = 1;
+  if (origin) {
+    if (origin.status === null || origin.status >= 400) {
+      delta.originErrors[origin.status === null ? 'error' : String(origin.status)] = 1;
+    }
+    const bucket = METRICS_LATENCY_BUCKETS_MS.findIndex(bound => origin.latencyMs <= bound);
+    if (bucket !== -1) {
+      delta.originLatencyMs.buckets[bucket] = 1;
+    }
+    delta.originLatencyMs.count = 1;
+    delta.originLatencyMs.sum = origin.latencyMs;
+  }
+  delta.bytesServedFromCache = fromCache ? responseBytes : 0;
+  delta.charactersServedFromCache = cachedCharacters;
+
+  if (env.METRICS_DATASET) {
+    env.METRICS_DATASET.writeDataPoint({
+      indexes: [cacheStatus],
+      blobs: [cacheStatus, origin ? String(origin.status ?? 'error') : ''],
+      doubles: [origin ? origin.latencyMs : 0, responseBytes, delta.bytesServedFromCache, cachedCharacters],
+    });
+  }
+
+  mergeMetrics(pendingMetrics, delta);
+  const now = new Date().getTime();
+  const flush = () => {
+    const batch = pendingMetrics;
+    pendingMetrics = emptyMetrics();
+    pendingMetricsSince = new Date().getTime();
+    if (Object.keys(batch.requests).length === 0) {
+      return Promise.resolve();
+    }
+    return getMetricsStore(env).record(batch).catch(e => console.error(`Failed to record metrics: ${e}`));
+  };
+  const remote = typeof env.CACHE_METRICS?.idFromName === 'function';
+  if (!remote || now - pendingMetricsSince >= METRICS_FLUSH_INTERVAL_MS) {
+    ctx.waitUntil(flush());
+  } else if (!metricsFlushScheduled) {
+    // Kept alive by this request, so the batch does not wait for the next request to arrive
+    metricsFlushScheduled = true;
+    ctx.waitUntil(new Promise(resolve => setTimeout(resolve, pendingMetricsSince + METRICS_FLUSH_INTERVAL_MS - now)).then(() => {
+      metricsFlushScheduled = false;
+      return flush();
+    }));
+  }
+}
+
+/**
+ * 缓存命中率: (HIT + STALE + REVALIDATED) / (HIT + STALE + REVALIDATED + MISS + PARTIAL); 没有缓存查询时为 null
+ * @param {object} requests - Request counts by X-Cache-Status.
+ * @returns {number|null}
+ */
+function cacheHitRatio(requests) {
+  let hits = 0;
+  let lookups = 0;
+  for (const [status, count] of Object.entries(requests)) {
+    if (status.startsWith('HIT') || status === 'STALE' || status === 'REVALIDATED') {
+      hits += count;
+      lookups += count;
+    } else if (status === 'MISS' || status === 'PARTIAL') {
+      lookups += count;
+    }
+  }
+  return lookups === 0 ? null : hits / lookups;
+}
+
+/**
+ * 指标转换为 Prometheus text exposition format
+ * @param {object} snapshot - Metrics from getMetricsStore(env).snapshot().
+ * @returns {string}
+ */
+function renderPrometheusMetrics(snapshot) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      lines.push(`${name}${labels} ${value}`);
+    }
+  };
+  const label = (name, value) => `{${name}="${String(value).replace(/["\\\n]/g, '\\$&')}"}`;
+
+  metric('cache_requests_total', 'counter', 'Requests by X-Cache-Status.',
+    Object.entries(snapshot.requests).map(([status, count]) => [label('cache_status', status), count]));
+  metric('cache_hit_ratio', 'gauge', 'Cache hits and stale serves over all cache lookups.',
+    [['', cacheHitRatio(snapshot.requests) ?? 'NaN']]);
+  metric('cache_bytes_served_total', 'counter', 'Response bytes served from the cache.',
+    [['', snapshot.bytesServedFromCache]]);
+  metric('cache_translator_characters_served_total', 'counter', 'Billed Translator characters (text length times target languages) answered from the cache.',
+    [['', snapshot.charactersServedFromCache]]);
+  metric('origin_errors_total', 'counter', 'Origin calls that failed, by status (error: no response).',
+    Object.entries(snapshot.originErrors).map(([status, count]) => [label('status', status), count]));
+
+  const latency = snapshot.originLatencyMs;
+  lines.push('# HELP origin_latency_seconds Origin call latency, including retries.', '# TYPE origin_latency_seconds histogram');
+  let cumulative = 0;
+  METRICS_LATENCY_BUCKETS_MS.forEach((bound, i) => {
+    cumulative += latency.buckets[i];
+    lines.push(`origin_latency_seconds_bucket${label('le', bound / 1000)} ${cumulative}`);
+  });
+  lines.push(
+    `origin_latency_seconds_bucket{le="+Inf"} ${latency.count}`,
+    `origin_latency_seconds_sum ${latency.sum / 1000}`,
+    `origin_latency_seconds_count ${latency.count}`,
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * `/__metrics`: Prometheus 文本格式, `?format=json` 或 `Accept: application/json` 时返回 JSON.
+ * 使用 `Authorization: Bearer <METRICS_SECRET>` (未配置时用 ADMIN_SECRET) 验证
+ * @param {Request} request - The metrics request.
+ * @param {object} env - Worker env.
+ * @returns {Promise<Response>}
+ */
+async function handleMetricsRequest(request, env) {
+  const secret = env.METRICS_SECRET || env.ADMIN_SECRET;
+  if (!secret) {
+    return new Response('Not found', { status: 404 });
+  }
+  if (!isAdminAuthorized(request, { ADMIN_SECRET: secret })) {
+    return new Response('Unauthorized', { status: 401 });
+  }
+
+  let snapshot;
+  try {
+    snapshot = await getMetricsStore(env).snapshot();
+  } catch (e) {
+    console.error(`Error reading metrics: ${e}`);
+    return new Response('Metrics unavailable', { status: 503 });
+  }
+  // This isolate's unflushed batch is not in the aggregate yet
+  mergeMetrics(snapshot, pendingMetrics);
+
+  const url = new URL(request.url);
+  if (url.searchParams.get('format') === 'json' || (request.headers.get('Accept') || '').includes('application/json')) {
+    return Response.json({ ...snapshot, hitRatio: cacheHitRatio(snapshot.requests) });
+  }
+  return new Response(renderPrometheusMetrics(snapshot), {
+    headers: { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' },
+  });
+}
+
+// --- Origin resilience (timeouts, retries, circuit breaker) ---
+
+// Origin call outcome per incoming request, read by the request logger
+const originCallStats = new WeakMap();
+
+// Circuit breaker state per origin. Kept per isolate: each isolate learns about an outage on its own
+const originCircuits = new Map();
+
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} origin - The origin whose circuit is open.
+   * @param {number} retryAfterSeconds - Seconds until the circuit lets requests through again.
+   */
+  constructor(origin, retryAfterSeconds) {
+    super(`Circuit open for ${origin}, retry in ${retryAfterSeconds}s`);
+    this.name = 'CircuitOpenError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+function circuitFor(route) {
+  let circuit = originCircuits.get(route.origin);
+  if (!circuit) {
+    circuit = { failures: 0, openUntil: 0 };
+    originCircuits.set(route.origin, circuit);
+  }
+  return circuit;
+}
+
+/**
+ * 路由的源站熔断器当前是否打开
+ * @param {object} route - The matched route.
+ * @returns {boolean}
+ */
+function isCircuitOpen(route) {
+  return circuitFor(route).openUntil > new Date().getTime();
+}
+
+/**
+ * 记录一次源站调用结果; 连续失败达到阈值后打开熔断器
+ * 冷却结束后熔断器半开: 下一次失败会立即重新打开, 一次成功则关闭
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route.
+ * @param {boolean} ok - Whether the attempt succeeded.
+ */
+function recordOriginOutcome(env, route, ok) {
+  const circuit = circuitFor(route);
+  if (ok) {
+    circuit.failures = 0;
+    return;
+  }
+  const threshold = parseInt(env.CIRCUIT_BREAKER_THRESHOLD) || DEFAULT_CIRCUIT_BREAKER_THRESHOLD;
+  circuit.failures++;
+  if (circuit.failures >= threshold) {
+    const cooldownSeconds = parseInt(env.CIRCUIT_BREAKER_COOLDOWN_SECONDS) || DEFAULT_CIRCUIT_BREAKER_COOLDOWN_SECONDS;
+    circuit.openUntil = new Date().getTime() + cooldownSeconds * 1000;
+    circuit.failures = threshold - 1;
+    console.error(`Circuit opened for ${route.origin} for ${cooldownSeconds}s after ${threshold} failures`);
+  }
+}
+
+/**
+ * 源站响应的 Retry-After (秒数或 HTTP 日期)
+ * @param {Response|null} response - The origin response.
+ * @returns {number|null} - Milliseconds to wait, or null without a valid header.
+ */
+function retryAfterMs(response) {
+  const retryAfter = response?.headers.get('Retry-After');
+  if (!retryAfter) {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - new Date().getTime() : seconds * 1000;
+  return Number.isNaN(delay) ? null : Math.max(0, delay);
+}
+
+/**
+ * 计算下一次重试前的等待时间: 优先使用源站的 Retry-After, 否则指数退避加随机抖动
+ * @param {number} attempt - Zero-based number of the attempt that just failed.
+ * @param {Response|null} response - The failed response, or null for network errors and timeouts.
+ * @returns {number} - Delay in milliseconds.
+ */
+function retryDelayMs(attempt, response) {
+  return retryAfterMs(response) ?? Math.random() * Math.min(ORIGIN_RETRY_MAX_DELAY_MS, ORIGIN_RETRY_BASE_DELAY_MS * 2 ** attempt);
+}
+
+/**
+ * 源站限流 (429) 时按 Retry-After 暂停对它的调用: 这段时间内和熔断器打开一样直接失败 (或返回过期缓存),
+ * 但不计入熔断失败次数, 因为源站本身是正常的
+ * @param {object} route - The matched route.
+ * @param {Response} response - The 429 response.
+ */
+function holdOffOrigin(route, response) {
+  const delay = retryAfterMs(response);
+  if (!delay) {
+    return;
+  }
+  const circuit = circuitFor(route);
+  circuit.openUntil = Math.max(circuit.openUntil, new Date().getTime() + delay);
+  console.error(`Origin ${route.origin} is throttling, holding off for ${Math.ceil(delay / 1000)}s`);
+}
+
+/**
+ * 带超时地请求源站. 绑定了 env.ORIGIN_FETCHER (service binding, 或测试中的 MockOrigin) 时请求交给它,
+ * 否则使用全局 fetch
+ * @param {object} env - Worker env.
+ * @param {Request} originRequest - The request to send.
+ * @param {number} timeoutMs - Time allowed until the response headers arrive.
+ * @returns {Promise<Response>} - The origin response; rejects on network errors and timeouts.
+ */
+async function fetchWithTimeout(env, originRequest, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`Origin timed out after ${timeoutMs}ms`)), timeoutMs);
+  try {
+    const fetcher = env.ORIGIN_FETCHER || globalThis;
+    return await fetcher.fetch(originRequest, { signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 请求源站并记录状态码和耗时
+ * 每次尝试都有超时; 幂等或可缓存的请求在网络错误、超时、429 和 5xx 时重试,
+ * 请求体先缓冲下来以便重放. 熔断器打开时直接失败, 由调用方决定是否返回过期缓存;
+ * 最终返回的 429 按 Retry-After 暂停后续调用 (见 holdOffOrigin)
+ * @param {Request} request - The incoming request the origin call is made for.
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route (timeoutMs and maxRetries override env).
+ * @param {Request} originRequest - The request to send.
+ * @param {object} [options]
+ * @param {boolean} [options.cacheable] - The response may be cached, so the request is safe to replay.
+ * @returns {Promise<Response>} - The origin response; after the last attempt a 429/5xx is returned as-is.
+ *   Rejects on network errors, timeouts and with CircuitOpenError while the circuit is open.
+ */
+async function fetchFromOrigin(request, env, route, originRequest, { cacheable = false } = {}) {
+  const startedAt = new Date().getTime();
+  if (isCircuitOpen(route)) {
+    const retryAfterSeconds = Math.ceil((circuitFor(route).openUntil - startedAt) / 1000);
+    const error = new CircuitOpenError(route.origin, retryAfterSeconds);
+    originCallStats.set(request, { status: null, error: error.message, latencyMs: 0 });
+    throw error;
+  }
+
+  const timeoutMs = parseInt(route.timeoutMs ?? env.ORIGIN_TIMEOUT_MS) || DEFAULT_ORIGIN_TIMEOUT_MS;
+  const replayable = cacheable || IDEMPOTENT_METHODS.includes(originRequest.method);
+  const configuredRetries = parseInt(route.maxRetries ?? env.ORIGIN_MAX_RETRIES);
+  const maxRetries = !replayable ? 0 : (Number.isNaN(configuredRetries) ? DEFAULT_ORIGIN_MAX_RETRIES : configuredRetries);
+  // A body stream can only be sent once, so requests that may be retried buffer it first
+  const body = maxRetries > 0 && originRequest.body ? await originRequest.arrayBuffer() : null;
+
+  for (let attempt = 0; ; attempt++) {
+    const attemptRequest = maxRetries === 0 ? originRequest : new Request(originRequest.url, {
+      method: originRequest.method,
+      headers: originRequest.headers,
+      body: body,
+      redirect: originRequest.redirect,
+    });
+    const finalAttempt = () => attempt >= maxRetries || isCircuitOpen(route);
+
+    let response;
+    try {
+      response = await fetchWithTimeout(env, attemptRequest, timeoutMs);
+    } catch (e) {
+      recordOriginOutcome(env, route, false);
+      if (finalAttempt()) {
+        originCallStats.set(request, { status: null, error: e.message, attempts: attempt + 1, latencyMs: new Date().getTime() - startedAt });
+        throw e;
+      }
+      console.error(`Origin attempt ${attempt + 1} failed, retrying: ${e}`);
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs(attempt, null)));
+      continue;
+    }
+
+    const failed = ORIGIN_RETRY_STATUSES.includes(response.status);
+    // Throttling is not an outage: a 429 leaves the failure count alone and its Retry-After is honored instead
+    if (response.status !== 429) {
+      recordOriginOutcome(env, route, !failed);
+    }
+    const delay = failed && !finalAttempt() ? retryDelayMs(attempt, response) : null;
+    if (delay === null || delay > ORIGIN_RETRY_MAX_DELAY_MS) {
+      if (response.status === 429) {
+        holdOffOrigin(route, response);
+      }
+      originCallStats.set(request, { status: response.status, attempts: attempt + 1, latencyMs: new Date().getTime() - startedAt });
+      return response;
+    }
+    console.error(`Origin returned ${response.status} on attempt ${attempt + 1}, retrying in ${Math.round(delay)}ms`);
+    await response.body?.cancel();
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * 源站调用失败时返回给客户端的响应: 熔断器打开时 503 + Retry-After, 其他情况 502
+ * @param {Error} e - The error thrown by fetchFromOrigin.
+ * @returns {Response}
+ */
+function originErrorResponse(e) {
+  if (e instanceof CircuitOpenError) {
+    return new Response(`Origin unavailable: ${e.message}`, {
+      status: 503,
+      headers: { 'Retry-After': String(e.retryAfterSeconds) },
+    });
+  }
+  return new Response(`Failed to fetch from origin: ${e.message}`, { status: 502 });
+}
+
+function handleRequestHeaders(env, route, requestHeaders) {
+  const headerKey1 = 'ocp-apim-subscription-key';
+  const subscriptionKeyValue = route.credentialSecret ? env[route.credentialSecret] : undefined;
+  
+  const mutableHeaders = new Headers(requestHeaders);
+  // Only the proxy's own credentials reach the origin
+  for (const header of CLIENT_AUTH_HEADERS) {
+    mutableHeaders.delete(header);
+  }
+  mutableHeaders.delete(headerKey1);
+  mutableHeaders.delete('ocp-apim-subscription-region');
+  if (route.region) {
+    mutableHeaders.set('ocp-apim-subscription-region', route.region);
+  }
+  if (subscriptionKeyValue) {
+    mutableHeaders.set(headerKey1, subscriptionKeyValue);
+  }
+  mutableHeaders.delete('host');
+  return mutableHeaders;
+}
+
+// --- Client authentication ---
+
+// Client records cached per isolate (including misses), keyed by registry name; Map order is the LRU order
+const clientRecordCache = new Map();
+
+/**
+ * 从客户端注册表读取一条记录: env.CLIENTS_KV 优先, 其次是 R2 的 env.CLIENTS_BUCKET.
+ * 记录格式:
+ *   key:<sha256(api key)>  → { "id": "mobile-app", "name": "Mobile app", "disabled": false, "dailyCharacterQuota": 500000 }
+ *   client:<id>            → { "id": "batch-jobs", "hmacSecret": "...", "disabled": false }
+ * @param {object} env - Worker env.
+ * @param {string} name - Registry key.
+ * @returns {Promise<object|null>} - The client record, or null if unknown.
+ */
+async function readClientRecord(env, name) {
+  const now = new Date().getTime();
+  const cached = clientRecordCache.get(name);
+  clientRecordCache.delete(name);
+  if (cached && cached.expiresAt > now) {
+    clientRecordCache.set(name, cached);
+    return cached.record;
+  }
+  let record = null;
+  if (env.CLIENTS_KV) {
+    record = await env.CLIENTS_KV.get(name, 'json');
+  } else if (env.CLIENTS_BUCKET) {
+    const object = await env.CLIENTS_BUCKET.get(name);
+    record = object ? await object.json() : null;
+  }
+  // Unknown keys are cached too, so the cap keeps a flood of made-up keys from growing the Map without bound
+  if (clientRecordCache.size >= CLIENT_RECORD_CACHE_MAX_KEYS) {
+    clientRecordCache.delete(clientRecordCache.keys().next().value);
+  }
+  clientRecordCache.set(name, { record, expiresAt: now + CLIENT_RECORD_CACHE_MS });
+  return record;
+}
+
+/**
+ * 校验 HMAC 签名. 签名内容为
+ *   `${X-Timestamp}\n${method}\n${path}${search}\n${hex(sha256(body))}`
+ * 使用 HMAC-SHA256 和客户端的 hmacSecret, 以十六进制放在 X-Signature 中
+ * @param {Request} request - The incoming request (body is read from a clone).
+ * @param {string} secret - The client's HMAC secret.
+ * @returns {Promise<boolean>} - Whether the signature is valid and the timestamp is recent.
+ */
+async function verifySignature(request, secret) {
+  const timestamp = parseInt(request.headers.get('X-Timestamp'));
+  if (Number.isNaN(timestamp) || Math.abs(new Date().getTime() / 1000 - timestamp) > CLIENT_SIGNATURE_MAX_SKEW_SECONDS) {
+    return false;
+  }
+  const toHex = buffer => Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+  const url = new URL(request.url);
+  const bodyHash = toHex(await crypto.subtle.digest('SHA-256', await request.clone().arrayBuffer()));
+  const message = `${timestamp}\n${request.method}\n${url.pathname}${url.search}\n${bodyHash}`;
+
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const expected = toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+  return timingSafeEqual(expected, (request.headers.get('X-Signature') || '').toLowerCase());
+}
+
+/**
+ * 验证调用方: 代理签发的 API key (X-Api-Key) 或 HMAC 签名 (X-Client-Id + X-Timestamp + X-Signature).
+ * 没有绑定客户端注册表时拒绝所有请求 (否则任何人都能用上游密钥), 除非明确设置了 env.AUTH_DISABLED = "true"
+ * @param {Request} request - The incoming request.
+ * @param {object} env - Worker env.
+ * @returns {Promise<{client: {id: string, name: string, limits: object}|null, error: Response|null}>} - The
+ *   caller, or the 401/403/500 response to return.
+ */
+async function authenticateClient(request, env) {
+  if (env.AUTH_DISABLED === 'true') {
+    return { client: null, error: null };
+  }
+  if (!env.CLIENTS_KV && !env.CLIENTS_BUCKET) {
+    console.error('No client registry bound (CLIENTS_KV or CLIENTS_BUCKET) and AUTH_DISABLED is not "true"');
+    return { client: null, error: new Response("Client registry not configured", { status: 500 }) };
+  }
+
+  let record = null;
+  const apiKey = request.headers.get('X-Api-Key');
+  const clientId = request.headers.get('X-Client-Id');
+  try {
+    if (apiKey) {
+      record = await readClientRecord(env, `key:${await calculateSHA256(apiKey)}`);
+    } else if (clientId && request.headers.get('X-Signature')) {
+      const candidate = await readClientRecord(env, `client:${clientId}`);
+      if (candidate?.hmacSecret && await verifySignature(request, candidate.hmacSecret)) {
+        record = candidate;
+      }
+    }
+  } catch (e) {
+    console.error(`Error reading client registry: ${e}`);
+    return { client: null, error: new Response("Client registry unavailable", { status: 503 }) };
+  }
+
+  if (!record) {
+    return { client: null, error: new Response("Unauthorized", { status: 401, headers: { 'WWW-Authenticate': 'ApiKey' } }) };
+  }
+  if (record.disabled) {
+    return { client: null, error: new Response("Client disabled", { status: 403 }) };
+  }
+  const limits = {
+    rateLimitPerMinute: record.rateLimitPerMinute,
+    dailyCharacterQuota: record.dailyCharacterQuota,
+    monthlyCharacterQuota: record.monthlyCharacterQuota,
+  };
+  return { client: { id: record.id, name: record.name || record.id, limits }, error: null };
+}
+
+// --- Rate limiting and character quotas ---
+
+/**
+ * 进程内的计数器, 和 getCounterStore 返回的接口相同; 本地测试时可以直接绑定为 env.QUOTA_COUNTERS
+ */
+export class MemoryCounterStore {
+  constructor() {
+    this.counters = new Map(); // key -> { value, expiresAt }
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.expiresAt > new Date().getTime() ? counter.value : 0;
+  }
+
+  async increment(key, amount, ttlSeconds) {
+    const value = (await this.get(key)) + amount;
+    this.counters.set(key, { value, expiresAt: new Date().getTime() + ttlSeconds * 1000 });
+    return value;
+  }
+}
+
+/**
+ * Durable Object: 原子计数器, 每个计数键一个实例. 计数在窗口结束时由 alarm 清除
+ */
+export class QuotaCounter {
+  constructor(state, env) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const now = new Date().getTime();
+    const counter = await this.state.storage.get('counter');
+    const value = counter && counter.expiresAt > now ? counter.value : 0;
+    if (url.pathname === '/get') {
+      return Response.json({ value });
+    }
+    if (url.pathname === '/increment' && request.method === 'POST') {
+      const amount = parseInt(url.searchParams.get('amount')) || 0;
+      const expiresAt = now + (parseInt(url.searchParams.get('ttl')) || 60) * 1000;
+      // Requests to one object run one at a time, so this read-modify-write cannot lose increments
+      await this.state.storage.put('counter', { value: value + amount, expiresAt });
+      await this.state.storage.setAlarm(expiresAt);
+      return Response.json({ value: value + amount });
+    }
+    return new Response('Not found', { status: 404 });
+  }
+
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+}
+
+/**
+ * env.QUOTA_COUNTERS 可以是 QuotaCounter Durable Object namespace, KV namespace,
+ * 或带 get/increment 的计数器 (例如 MemoryCounterStore)
+ * @param {object} env - Worker env.
+ * @returns {{get: function(string): Promise<number>, increment: function(string, number, number): Promise<number>}|null}
+ */
+function getCounterStore(env) {
+  const binding = env.QUOTA_COUNTERS;
+  if (!binding) {
+    return null;
+  }
+  if (typeof binding.increment === 'function') {
+    return binding;
+  }
+  if (typeof binding.idFromName === 'function') {
+    const call = async (key, path, init) => {
+      const stub = binding.get(binding.idFromName(key));
+      const response = await stub.fetch(`https://quota-counter${path}`, init);
+      if (!response.ok) {
+        throw new Error(`Quota counter returned ${response.status}`);
+      }
+      return (await response.json()).value;
+    };
+    return {
+      get: key => call(key, '/get'),
+      increment: (key, amount, ttlSeconds) => call(key, `/increment?amount=${amount}&ttl=${ttlSeconds}`, { method: 'POST' }),
+    };
+  }
+  // KV is read-modify-write and allows about one write per second per key: concurrent increments
+  // can be lost and failed writes are skipped, so KV-backed limits are soft. Bind a QuotaCounter for exact ones
+  const read = async key => parseInt(await binding.get(key)) || 0;
+  return {
+    get: read,
+    increment: async (key, amount, ttlSeconds) => {
+      const value = (await read(key)) + amount;
+      await binding.put(key, value.toString(), { expirationTtl: Math.max(60, ttlSeconds) });
+      return value;
+    },
+  };
+}
+
+/**
+ * 当前的计数窗口 (UTC): 每分钟请求数, 每天和每月的字符数
+ * @param {number} now - Current timestamp in ms.
+ * @returns {{minute: {id: string, resetsAt: number}, day: {id: string, resetsAt: number}, month: {id: string, resetsAt: number}}}
+ */
+function quotaWindows(now) {
+  const date = new Date(now);
+  const minute = Math.floor(now / 60000);
+  return {
+    minute: { id: minute.toString(), resetsAt: (minute + 1) * 60000 },
+    day: { id: date.toISOString().slice(0, 10), resetsAt: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1) },
+    month: { id: date.toISOString().slice(0, 7), resetsAt: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) },
+  };
+}
+
+/**
+ * Translator 数组中所有 text 的字符数 (Azure 按字符计费)
+ * @param {Array<object>|null} items - Items from readTranslatorItems.
+ * @returns {number} - Total characters.
+ */
+function countCharacters(items) {
+  return (items || []).reduce((total, item) => total + item.text.length, 0);
+}
+
+/**
+ * Azure 计费的字符数: 每个目标语言各计一次
+ * @param {Request} request - The Translator request.
+ * @param {Array<object>|null} items - Items from readTranslatorItems.
+ * @returns {number} - Billed characters.
+ */
+function billedCharacters(request, items) {
+  return countCharacters(items) * Math.max(1, translatorLanguages(request).to.length);
+}
+
+/**
+ * 单个客户端的请求频率和字符配额. 限额取客户端记录中的 rateLimitPerMinute / dailyCharacterQuota /
+ * monthlyCharacterQuota, 其次是 env 中的 RATE_LIMIT_PER_MINUTE / DAILY_CHARACTER_QUOTA / MONTHLY_CHARACTER_QUOTA
+ */
+class ClientQuota {
+  constructor(store, client, env) {
+    const limit = (value, fallback) => {
+      const parsed = parseInt(value ?? fallback);
+      return Number.isNaN(parsed) ? null : parsed;
+    };
+    this.store = store;
+    this.client = client;
+    this.limits = {
+      minute: limit(client.limits.rateLimitPerMinute, env.RATE_LIMIT_PER_MINUTE),
+      day: limit(client.limits.dailyCharacterQuota, env.DAILY_CHARACTER_QUOTA),
+      month: limit(client.limits.monthlyCharacterQuota, env.MONTHLY_CHARACTER_QUOTA),
+    };
+    this.headers = new Headers();
+  }
+
+  /**
+   * 计入一次请求, 超出每分钟限额时返回 429
+   * @returns {Promise<Response|null>} - The 429 response, or null if the request may proceed.
+   */
+  async checkRequest() {
+    const limit = this.limits.minute;
+    if (limit === null) {
+      return null;
+    }
+    const now = new Date().getTime();
+    const { minute } = quotaWindows(now);
+    let count;
+    try {
+      count = await this.store.increment(`rate:${this.client.id}:${minute.id}`, 1, 60);
+    } catch (e) {
+      // Fail open: a counter outage must not take the proxy down with it
+      console.error(`Failed to count a request for ${this.client.id}: ${e}`);
+      return null;
+    }
+    const resetSeconds = Math.ceil((minute.resetsAt - now) / 1000);
+    this.headers.set('X-RateLimit-Limit-Requests', limit.toString());
+    this.headers.set('X-RateLimit-Remaining-Requests', Math.max(0, limit - count).toString());
+    this.headers.set('X-RateLimit-Reset-Requests', resetSeconds.toString());
+    return count > limit ? this.tooManyRequests('Request rate limit exceeded', resetSeconds) : null;
+  }
+
+  /**
+   * 检查发往源站的字符数是否超出每天/每月配额 (只检查, 成功后再用 chargeCharacters 计入)
+   * @param {number} characters - Characters about to be sent to the origin.
+   * @returns {Promise<Response|null>} - The 429 response, or null if the request may proceed.
+   */
+  async checkCharacters(characters) {
+    if (characters === 0) {
+      return null;
+    }
+    const now = new Date().getTime();
+    const windows = quotaWindows(now);
+    let tightest = null;
+    for (const period of ['day', 'month']) {
+      const limit = this.limits[period];
+      if (limit === null) {
+        continue;
+      }
+      let used;
+      try {
+        used = await this.store.get(`chars:${this.client.id}:${period}:${windows[period].id}`);
+      } catch (e) {
+        console.error(`Failed to read the ${period} character count for ${this.client.id}: ${e}`);
+        continue;
+      }
+      const remaining = limit - used;
+      const resetSeconds = Math.ceil((windows[period].resetsAt - now) / 1000);
+      if (characters > remaining) {
+        return this.tooManyRequests(`Character quota exceeded for this ${period}`, resetSeconds);
+      }
+      if (!tightest || remaining < tightest.remaining) {
+        tightest = { limit, remaining, resetSeconds };
+      }
+    }
+    if (tightest) {
+      this.headers.set('X-RateLimit-Limit-Characters', tightest.limit.toString());
+      this.headers.set('X-RateLimit-Remaining-Characters', (tightest.remaining - characters).toString());
+      this.headers.set('X-RateLimit-Reset-Characters', tightest.resetSeconds.toString());
+    }
+    return null;
+  }
+
+  /**
+   * 计入已经由源站翻译的字符数 (缓存命中不计入)
+   * @param {object} ctx - Execution context.
+   * @param {number} characters - Characters the origin translated.
+   */
+  chargeCharacters(ctx, characters) {
+    if (characters === 0) {
+      return;
+    }
+    const now = new Date().getTime();
+    const windows = quotaWindows(now);
+    for (const period of ['day', 'month']) {
+      if (this.limits[period] === null) {
+        continue;
+      }
+      const ttlSeconds = Math.ceil((windows[period].resetsAt - now) / 1000);
+      ctx.waitUntil(
+        this.store.increment(`chars:${this.client.id}:${period}:${windows[period].id}`, characters, ttlSeconds)
+          .catch(e => console.error(`Failed to charge ${characters} characters to ${this.client.id}: ${e}`))
+      );
+    }
+  }
+
+  tooManyRequests(message, retryAfterSeconds) {
+    const headers = new Headers(this.headers);
+    headers.set('Retry-After', retryAfterSeconds.toString());
+    return new Response(message, { status: 429, headers });
+  }
+
+  /**
+   * 给响应加上 X-RateLimit-* 头
+   * @param {Response} response - The outgoing response.
+   * @returns {Response} - A response with the rate limit headers.
+   */
+  withHeaders(response) {
+    const withQuota = new Response(response.body, response);
+    for (const [key, value] of this.headers.entries()) {
+      withQuota.headers.set(key, value);
+    }
+    return withQuota;
+  }
+}
+
+/**
+ * 为已认证的客户端创建配额跟踪; 匿名请求或没有绑定计数器时返回 null
+ * @param {object} env - Worker env.
+ * @param {object|null} client - The caller from authenticateClient.
+ * @returns {ClientQuota|null}
+ */
+function createClientQuota(env, client) {
+  const store = getCounterStore(env);
+  return store && client ? new ClientQuota(store, client, env) : null;
+}
+
+// --- Routing ---
+
+// Parsed route table cached per isolate, so KV is not read on every request
+let routeTableCache = { source: null, routes: null, loadedAt: 0 };
+let statusTtlCache = { source: null, statusTtls: {} };
+
+/**
+ * 只配置了 ORIGIN_API_URL 时的默认路由, 行为与路由表出现之前一致
+ * @param {object} env - Worker env.
+ * @returns {object} - A route matching every path.
+ */
+function legacyRoute(env) {
+  return {
+    prefix: '/',
+    origin: env.ORIGIN_API_URL,
+    credentialSecret: 'OCP_APIM_Subscription_Key',
+    region: 'japaneast',
+  };
+}
+
+/**
+ * 校验并补全一条路由配置
+ * @param {object} route - Raw route from the JSON config.
+ * @returns {object} - The route with defaults filled in.
+ */
+function normalizeRoute(route) {
+  if (typeof route?.prefix !== 'string' || !route.prefix.startsWith('/') || typeof route.origin !== 'string') {
+    throw new Error(`Route needs a "/"-prefixed prefix and an origin: ${JSON.stringify(route)}`);
+  }
+  if (route.cache !== undefined && !['default', 'bypass', 'force'].includes(route.cache)) {
+    throw new Error(`Unknown cache policy "${route.cache}" for route ${route.prefix}`);
+  }
+  if (route.cacheKey !== undefined) {
+    parseCacheKeySpec(route.cacheKey);
+  }
+  if (route.validation !== undefined) {
+    checkValidationConfig(route.validation, route.prefix);
+  }
+  checkTtlPolicy(route, `route ${route.prefix}`);
+  return {
+    namespace: route.prefix,
+    cache: 'default',
+    stripPrefix: false,
+    ...route,
+    origin: route.origin.replace(/\/+$/, ''),
+  };
+}
+
+/**
+ * 读取路由表: KV (env.ROUTES_KV 中的 `routes` 键) 优先, 其次是 env.ROUTES (JSON 数组字符串),
+ * 都没有时退回 ORIGIN_API_URL 单一路由. 每条路由的格式:
+ *   {
+ *     "prefix": "/translator",                 // 匹配的路径前缀 (最长前缀优先)
+ *     "origin": "https://api.cognitive.microsofttranslator.com",
+ *     "stripPrefix": true,                     // 转发时去掉 prefix
+ *     "credentialSecret": "TRANSLATOR_KEY",    // env 中的密钥名, 作为 ocp-apim-subscription-key 发送
+ *     "region": "japaneast",                   // ocp-apim-subscription-region
+ *     "namespace": "translator",               // 缓存键命名空间, 默认为 prefix
+ *     "cache": "default",                      // default | bypass | force
+ *     "cacheKey": ["json", { "strategy": "headers", "headers": ["accept-language"] }],
+ *                                              // 缓存键策略, 见 registerCacheKeyStrategy; 默认 env.CACHE_KEY_STRATEGY 或 translator
+ *     "ttlSeconds": 86400,                       // 2xx 的默认 TTL
+ *     "statusTtls": { "404": 60, "400": 30 },   // 按状态码的 TTL, 非 2xx 只缓存这里列出的, 见 checkTtlPolicy
+ *     "minTtlSeconds": 10,
+ *     "maxTtlSeconds": 604800,
+ *     "staleWhileRevalidateSeconds": 60,
+ *     "staleIfErrorSeconds": 3600,
+ *     "maxCacheableBytes": 26214400,            // 更大的响应直接流式返回, 不缓存
+ *     "maxItemLookups": 500,                    // Translator 数组每个请求最多的存储调用, 超出时整体缓存;
+ *                                              // translationMemory 路由只查预算内的文本, 见 handleTranslatorBatch
+ *     "translationMemory": true,                // Translator 数组先查 TM, 并应用术语表, 见 translationContext
+ *     "validation": { "translator": true }      // 请求 (和源站响应) 的校验, 见 checkValidationConfig
+ *   }
+ * @param {object} env - Worker env.
+ * @returns {Promise<Array<object>|null>} - Routes sorted by descending prefix length, or null if nothing is configured.
+ */
+async function loadRoutes(env) {
+  let source = env.ROUTES || null;
+  if (env.ROUTES_KV) {
+    const now = new Date().getTime();
+    if (routeTableCache.source === env.ROUTES_KV && now - routeTableCache.loadedAt < ROUTES_KV_REFRESH_MS) {
+      return routeTableCache.routes;
+    }
+    source = (await env.ROUTES_KV.get('routes')) || source;
+    const routes = source ? parseRoutes(source) : (env.ORIGIN_API_URL ? [legacyRoute(env)] : null);
+    routeTableCache = { source: env.ROUTES_KV, routes, loadedAt: now };
+    return routes;
+  }
+  if (!source) {
+    return env.ORIGIN_API_URL ? [legacyRoute(env)] : null;
+  }
+  if (routeTableCache.source !== source) {
+    routeTableCache = { source, routes: parseRoutes(source), loadedAt: 0 };
+  }
+  return routeTableCache.routes;
+}
+
+/**
+ * 解析 JSON 路由表
+ * @param {string} source - JSON array of routes.
+ * @returns {Array<object>} - Normalized routes, longest prefix first.
+ */
+function parseRoutes(source) {
+  const routes = JSON.parse(source);
+  if (!Array.isArray(routes)) {
+    throw new Error('Route config must be a JSON array');
+  }
+  return routes.map(normalizeRoute).sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+/**
+ * 按最长前缀匹配路由 (`/translator` 匹配 `/translator` 和 `/translator/...`, 不匹配 `/translatorx`)
+ * @param {Array<object>} routes - Routes from loadRoutes.
+ * @param {string} pathname - The request path.
+ * @returns {object|null} - The matching route.
+ */
+function matchRoute(routes, pathname) {
+  return routes.find(route =>
+    route.prefix === '/' || pathname === route.prefix || pathname.startsWith(route.prefix.endsWith('/') ? route.prefix : `${route.prefix}/`)
+  ) || null;
+}
+
+/**
+ * 源站 URL: 路由的 origin + (去掉前缀后的) 路径 + query string
+ * @param {object} route - The matched route.
+ * @param {URL} url - The request URL.
+ * @returns {string} - The origin URL.
+ */
+function originUrlFor(route, url) {
+  let path = url.pathname;
+  if (route.stripPrefix && route.prefix !== '/') {
+    path = path.slice(route.prefix.replace(/\/+$/, '').length) || '/';
+  }
+  return `${route.origin}${path}${url.search}`;
+}
+
+// --- Request validation ---
+
+/**
+ * 校验路由的 `validation` 配置, 配置错误时抛出异常 (和其他路由配置一样在加载时发现):
+ *   {
+ *     "methods": ["POST"],                    // 允许的方法, 其他方法返回 405
+ *     "contentTypes": ["application/json"],   // 有 body 时允许的 Content-Type, 其他返回 415
+ *     "maxBodyBytes": 262144,                 // 超出返回 413
+ *     "schema": { "type": "array", ... },     // body 的 JSON Schema (子集, 见 validateJsonSchema), 不符合返回 400
+ *     "translator": { "maxItems": 1000, "maxItemCharacters": 50000, "maxTotalCharacters": 50000 },
+ *                                             // Translator 数组的限制 (true 表示使用 Azure 的限制), 超出返回 413
+ *     "responseSchema": { ... }               // 源站 2xx 响应的 JSON Schema, 不符合的响应照常返回但不缓存
+ *   }
+ * @param {object} validation - The route's validation config.
+ * @param {string} prefix - The route prefix, for error messages.
+ */
+function checkValidationConfig(validation, prefix) {
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+  const isSchema = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+  const problems = [];
+  if (!isSchema(validation)) {
+    problems.push('must be an object');
+  } else {
+    if (validation.methods !== undefined && !isStringList(validation.methods)) { problems.push('methods must be an array of strings'); }
+    if (validation.contentTypes !== undefined && !isStringList(validation.contentTypes)) { problems.push('contentTypes must be an array of strings'); }
+    if (validation.maxBodyBytes !== undefined && !(validation.maxBodyBytes > 0)) { problems.push('maxBodyBytes must be a positive number'); }
+    if (validation.schema !== undefined && !isSchema(validation.schema)) { problems.push('schema must be a JSON Schema object'); }
+    if (validation.responseSchema !== undefined && !isSchema(validation.responseSchema)) { problems.push('responseSchema must be a JSON Schema object'); }
+    if (validation.translator !== undefined && validation.translator !== true && !isSchema(validation.translator)) { problems.push('translator must be true or an object of limits'); }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid validation config for route ${prefix}: ${problems.join(', ')}`);
+  }
+}
+
+/**
+ * 用 JSON Schema 的一个子集校验数据: type, enum, const, properties, required, additionalProperties, items,
+ * minItems/maxItems, minLength/maxLength, minimum/maximum, pattern, anyOf
+ * @param {*} value - The value to check.
+ * @param {object} schema - The schema.
+ * @param {string} [path] - JSON Pointer of value, for error messages.
+ * @param {Array<string>} [errors] - Collected errors, at most VALIDATION_MAX_ERRORS.
+ * @returns {Array<string>} - The errors; empty when the value matches.
+ */
+function validateJsonSchema(value, schema, path = '', errors = []) {
+  const fail = message => {
+    if (errors.length < VALIDATION_MAX_ERRORS) {
+      errors.push(`${path || '/'}: ${message}`);
+    }
+    return errors;
+  };
+  const typeOf = item => {
+    if (item === null) { return 'null'; }
+    if (Array.isArray(item)) { return 'array'; }
+    if (Number.isInteger(item)) { return 'integer'; }
+    return typeof item;
+  };
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      return fail(`expected ${types.join(' or ')}, got ${actual}`);
+    }
+  }
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.anyOf && !schema.anyOf.some(option => validateJsonSchema(value, option, path).length === 0)) {
+    fail('does not match any of the allowed schemas');
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) { fail(`must be at least ${schema.minLength} characters`); }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) { fail(`must be at most ${schema.maxLength} characters`); }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) { fail(`must match ${schema.pattern}`); }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) { fail(`must be >= ${schema.minimum}`); }
+    if (schema.maximum !== undefined && value > schema.maximum) { fail(`must be <= ${schema.maximum}`); }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) { fail(`must have at least ${schema.minItems} items`); }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) { fail(`must have at most ${schema.maxItems} items`); }
+    if (schema.items) {
+      value.forEach((item, i) => validateJsonSchema(item, schema.items, `${path}/${i}`, errors));
+    }
+  } else if (typeof value === 'object' && value !== null) {
+    for (const name of schema.required || []) {
+      if (!(name in value)) { fail(`missing required property "${name}"`); }
+    }
+    for (const [name, item] of Object.entries(value)) {
+      const propertyPath = `${path}/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+      if (schema.properties?.[name]) {
+        validateJsonSchema(item, schema.properties[name], propertyPath, errors);
+      } else if (schema.additionalProperties === false) {
+        fail(`unexpected property "${name}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateJsonSchema(item, schema.additionalProperties, propertyPath, errors);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * 校验失败的响应, 所有校验错误使用同一种 JSON 格式: { error, code, details }
+ * @param {number} status - HTTP status.
+ * @param {string} code - Machine-readable error code.
+ * @param {string} message - Human-readable message.
+ * @param {Array<string>} [details] - Individual problems.
+ * @param {object} [headers] - Extra response headers.
+ * @returns {Response}
+ */
+function validationError(status, code, message, details = [], headers = {}) {
+  return Response.json({ error: message, code, details }, { status, headers });
+}
+
+/**
+ * 按路由的 `validation` 配置校验请求 (见 checkValidationConfig), 在查缓存和请求源站之前进行
+ * @param {Request} request - The incoming request; its body is read from a clone.
+ * @param {object} route - The matched route.
+ * @returns {Promise<Response|null>} - The error response, or null when the request is valid.
+ */
+async function validateRequest(request, route) {
+  const validation = route.validation;
+  if (!validation) {
+    return null;
+  }
+  if (validation.methods && !validation.methods.map(method => method.toUpperCase()).includes(request.method)) {
+    return validationError(405, 'method_not_allowed', `Method ${request.method} is not allowed here`, [],
+      { Allow: validation.methods.join(', ').toUpperCase() });
+  }
+  if (!request.body) {
+    return validation.schema || validation.translator ? validationError(400, 'invalid_body', 'A request body is required') : null;
+  }
+
+  const contentType = (request.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (validation.contentTypes && !validation.contentTypes.some(allowed => allowed.toLowerCase() === contentType)) {
+    return validationError(415, 'unsupported_media_type', `Content-Type must be ${validation.contentTypes.join(' or ')}`);
+  }
+  const maxBodyBytes = validation.maxBodyBytes;
+  if (maxBodyBytes && parseInt(request.headers.get('content-length')) > maxBodyBytes) {
+    return validationError(413, 'body_too_large', `Request body exceeds ${maxBodyBytes} bytes`);
+  }
+  if (!maxBodyBytes && !validation.schema && !validation.translator) {
+    return null;
+  }
+  const body = await request.clone().arrayBuffer();
+  if (maxBodyBytes && body.byteLength > maxBodyBytes) {
+    return validationError(413, 'body_too_large', `Request body exceeds ${maxBodyBytes} bytes`);
+  }
+  if (!validation.schema && !validation.translator) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(body));
+  } catch (e) {
+    return validationError(400, 'invalid_json', `Request body is not valid JSON: ${e.message}`);
+  }
+  if (validation.schema) {
+    const errors = validateJsonSchema(payload, validation.schema);
+    if (errors.length > 0) {
+      return validationError(400, 'invalid_body', 'Request body does not match the schema', errors);
+    }
+  }
+  if (validation.translator) {
+    return validateTranslatorBody(payload, validation.translator === true ? {} : validation.translator);
+  }
+  return null;
+}
+
+/**
+ * Translator 数组的结构和大小限制, 默认使用 Azure Translator v3 的限制
+ * @param {*} payload - The parsed request body.
+ * @param {{maxItems?: number, maxItemCharacters?: number, maxTotalCharacters?: number}} limits - Route limits.
+ * @returns {Response|null} - The error response, or null when the body is within the limits.
+ */
+function validateTranslatorBody(payload, limits) {
+  const errors = validateJsonSchema(payload, TRANSLATOR_REQUEST_SCHEMA);
+  if (errors.length > 0) {
+    return validationError(400, 'invalid_body', 'Request body must be an array of { "text": string } items', errors);
+  }
+  const maxItems = limits.maxItems ?? TRANSLATOR_MAX_ITEMS;
+  const maxTotalCharacters = limits.maxTotalCharacters ?? TRANSLATOR_MAX_CHARACTERS;
+  const maxItemCharacters = limits.maxItemCharacters ?? maxTotalCharacters;
+  if (payload.length > maxItems) {
+    return validationError(413, 'too_many_items', `Request has ${payload.length} items, the limit is ${maxItems}`);
+  }
+  const longItems = payload
+    .map((item, i) => ({ i, characters: countCharacters([item]) }))
+    .filter(({ characters }) => characters > maxItemCharacters)
+    .map(({ i, characters }) => `/${i}/text: ${characters} characters`);
+  if (longItems.length > 0) {
+    return validationError(413, 'item_too_long', `Items are limited to ${maxItemCharacters} characters`, longItems.slice(0, VALIDATION_MAX_ERRORS));
+  }
+  const characters = countCharacters(payload);
+  if (characters > maxTotalCharacters) {
+    return validationError(413, 'too_many_characters', `Request has ${characters} characters, the limit is ${maxTotalCharacters}`);
+  }
+  return null;
+}
+
+/**
+ * 源站响应在写入缓存前的校验: 路由的 responseSchema, 以及开启 translator 校验时 Translator 结果的结构
+ * @param {object} route - The matched route.
+ * @param {*} payload - The parsed origin response body.
+ * @returns {Array<string>} - Problems found; empty when the response may be cached.
+ */
+function validateOriginPayload(route, payload) {
+  const validation = route.validation;
+  const errors = [];
+  if (validation?.responseSchema) {
+    validateJsonSchema(payload, validation.responseSchema, '', errors);
+  }
+  if (validation?.translator) {
+    validateJsonSchema(payload, TRANSLATOR_RESPONSE_SCHEMA, '', errors);
+  }
+  return errors;
+}
+
+/**
+ * 校验准备写入 R2 的源站响应 body. 校验需要整个 body, 所以流式 body 在这里被缓冲 (已受 maxCacheableBytes 限制)
+ * @param {object} route - The matched route.
+ * @param {string} storageKey - The key being written, for logging.
+ * @param {ReadableStream|ArrayBuffer} body - The body from bodyForStorage.
+ * @returns {Promise<ArrayBuffer|null>} - The buffered body, or null when it must not be cached.
+ */
+async function validatedOriginBody(route, storageKey, body) {
+  const bytes = body instanceof ReadableStream ? await new Response(body).arrayBuffer() : body;
+  let problems;
+  try {
+    problems = validateOriginPayload(route, JSON.parse(new TextDecoder().decode(bytes)));
+  } catch (e) {
+    problems = [`not valid JSON: ${e.message}`];
+  }
+  if (problems.length > 0) {
+    console.error(`Origin response for ${storageKey} failed validation, not cached: ${problems.join('; ')}`);
+    return null;
+  }
+  return bytes;
+}
+
+/**
+ * 缓存前是否需要校验源站响应
+ * @param {object} route - The matched route.
+ * @returns {boolean}
+ */
+function validatesOriginResponses(route) {
+  return Boolean(route.validation?.responseSchema || route.validation?.translator);
+}
+
+// --- Admin API ---
+
+/**
+ * 常量时间的字符串比较, 避免通过响应时间猜出密钥
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {boolean} - Whether the strings are equal.
+ */
+function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const aBytes = encoder.encode(a);
+  const bBytes = encoder.encode(b);
+  let diff = aBytes.length ^ bBytes.length;
+  for (let i = 0; i < aBytes.length; i++) {
+    diff |= aBytes[i] ^ (bBytes[i % bBytes.length] || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * 校验管理接口的 `Authorization: Bearer <ADMIN_SECRET>`
+ * @param {Request} request - The admin request.
+ * @param {object} env - Worker env with ADMIN_SECRET.
+ * @returns {boolean} - Whether the caller presented the admin secret.
+ */
+function isAdminAuthorized(request, env) {
+  const authorization = request.headers.get('Authorization') || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : '';
+  return token !== '' && timingSafeEqual(token, env.ADMIN_SECRET);
+}
+
+/**
+ * R2 list 返回的对象转换为管理接口的 JSON
+ * @param {object} object - R2 object or list entry.
+ * @returns {object} - Key, size, upload time and expiration info.
+ */
+function describeCacheObject(object) {
+  const expiration = object.customMetadata?.expiration;
+  return {
+    key: object.key,
+    size: object.size,
+    uploaded: object.uploaded,
+    expiration: expiration ? new Date(parseInt(expiration)).toISOString() : null,
+    expired: secondsPastExpiration(object) > 0,
+  };
+}
+
+/**
+ * 分页遍历 R2 中某个前缀下的对象, 最多 ADMIN_MAX_LIST_PAGES 页, 超出时返回 cursor 供下次继续
+ * @param {object} env - Worker env.
+ * @param {string} prefix - Key prefix ('' for everything).
+ * @param {string|undefined} cursor - Cursor from a previous call.
+ * @param {function(Array<object>): Promise<void>} onPage - Called with each page of objects.
+ * @returns {Promise<string|null>} - The cursor to resume from, or null when the listing is complete.
+ */
+async function forEachCachePage(env, prefix, cursor, onPage) {
+  for (let page = 0; page < ADMIN_MAX_LIST_PAGES; page++) {
+    const listing = await env.API_CACHE_BUCKET.list({ prefix, cursor, include: ['customMetadata'] });
+    await onPage(listing.objects);
+    if (!listing.truncated) {
+      return null;
+    }
+    cursor = listing.cursor;
+  }
+  return cursor;
+}
+
+/**
+ * 管理接口 (需要 env.ADMIN_SECRET):
+ *   GET    /__cache/entry?key=...   查看单个条目 (也可以用 X-Cache-Key 请求头, `body=1` 时以文本返回内容)
+ *   DELETE /__cache/entry?key=...   删除单个条目
+ *   GET    /__cache/keys?prefix=... 按前缀列出键和过期时间 (支持 cursor/limit)
+ *   POST   /__cache/purge           删除 { key } / { prefix } / { before } / { all: true }, 同时让 L1 全部失效
+ *   GET    /__cache/stats           条目数、总大小、过期条目数
+ *   GET    /__cache/warmup          上一次预热的进度和失败记录
+ *   PUT    /__cache/warmup/manifest 把请求体保存为 R2 中的预热清单 (见 parseWarmupManifest)
+ *   POST   /__cache/warmup          立即开始一次预热 (和 cron 触发的是同一个任务)
+ *   GET    /__cache/gc              过期条目清理的进度和上一轮的结果
+ *   POST   /__cache/gc              立即运行一次清理 (和 cron 触发的是同一个任务)
+ *   GET    /__cache/tm?format=tmx   导出 translation memory (format=tmx|csv, 可以用 from/to 过滤; 分页见 X-TM-Cursor)
+ *   POST   /__cache/tm?format=tmx   导入 translation memory (TMX, 或表头为 from,to,source,target 的 CSV; 支持 cursor)
+ *   GET    /__cache/glossary        查看术语表
+ *   PUT    /__cache/glossary        替换 R2 中的术语表 (格式见 loadGlossary)
+ * @param {Request} request - The admin request.
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @returns {Promise<Response>} - JSON response.
+ */
+async function handleAdminRequest(request, env, ctx) {
+  if (!env.ADMIN_SECRET) {
+    return new Response('Not found', { status: 404 });
+  }
+  if (!isAdminAuthorized(request, env)) {
+    return Response.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const url = new URL(request.url);
+  const route = url.pathname.slice(ADMIN_PATH_PREFIX.length);
+  const bucket = env.API_CACHE_BUCKET;
+
+  if (route === '/entry') {
+    const key = url.searchParams.get('key') || request.headers.get('X-Cache-Key');
+    if (!key) {
+      return Response.json({ error: 'Missing key' }, { status: 400 });
+    }
+    if (request.method === 'DELETE') {
+      await bucket.delete(key);
+      await bumpL1Generation(env);
+      return Response.json({ deleted: [key] });
+    }
+    const object = await bucket.get(key);
+    if (object === null) {
+      return Response.json({ error: 'Not found', key }, { status: 404 });
+    }
+    const entry = describeCacheObject(object);
+    if (object.customMetadata?.status) {
+      const { status, headers } = cachedResponseMeta(object);
+      entry.status = status;
+      entry.headers = Object.fromEntries(headers.entries());
+    }
+    if (url.searchParams.get('body') === '1') {
+      entry.body = await object.text();
+    }
+    return Response.json(entry);
+  }
+
+  if (route === '/keys' && request.method === 'GET') {
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 1000, 1000);
+    const listing = await bucket.list({
+      prefix: url.searchParams.get('prefix') || '',
+      cursor: url.searchParams.get('cursor') || undefined,
+      limit,
+      include: ['customMetadata'],
+    });
+    return Response.json({
+      keys: listing.objects.map(describeCacheObject),
+      cursor: listing.truncated ? listing.cursor : null,
+    });
+  }
+
+  if (route === '/purge' && request.method === 'POST') {
+    let options;
+    try {
+      options = await request.json();
+    } catch (e) {
+      return Response.json({ error: 'Body must be JSON' }, { status: 400 });
+    }
+    if (typeof options.key === 'string') {
+      await bucket.delete(options.key);
+      await bumpL1Generation(env);
+      return Response.json({ deleted: 1, cursor: null });
+    }
+    const before = options.before === undefined ? null : new Date(options.before).getTime();
+    if (typeof options.prefix !== 'string' && before === null && options.all !== true) {
+      return Response.json({ error: 'Specify key, prefix, before or all' }, { status: 400 });
+    }
+    if (Number.isNaN(before)) {
+      return Response.json({ error: 'Invalid before timestamp' }, { status: 400 });
+    }
+    let deleted = 0;
+    const cursor = await forEachCachePage(env, options.prefix || '', options.cursor, async objects => {
+      const keys = objects
+        .filter(object => !object.key.startsWith(META_KEY_PREFIX))
+        .filter(object => before === null || storedAt(object) < before)
+        .map(object => object.key);
+      if (keys.length > 0) {
+        await bucket.delete(keys);
+        deleted += keys.length;
+      }
+    });
+    if (deleted > 0) {
+      await bumpL1Generation(env);
+    }
+    return Response.json({ deleted, cursor });
+  }
+
+  if (route === '/stats' && request.method === 'GET') {
+    const stats = { objects: 0, totalBytes: 0, expired: 0, oldestUpload: null, newestUpload: null };
+    const cursor = await forEachCachePage(env, url.searchParams.get('prefix') || '', url.searchParams.get('cursor') || undefined, async objects => {
+      for (const object of objects) {
+        const uploaded = new Date(object.uploaded).toISOString();
+        stats.objects++;
+        stats.totalBytes += object.size;
+        if (secondsPastExpiration(object) > 0) { stats.expired++; }
+        if (!stats.oldestUpload || uploaded < stats.oldestUpload) { stats.oldestUpload = uploaded; }
+        if (!stats.newestUpload || uploaded > stats.newestUpload) { stats.newestUpload = uploaded; }
+      }
+    });
+    return Response.json({ ...stats, cursor });
+  }
+
+  if (route === '/warmup' && request.method === 'GET') {
+    return Response.json((await readWarmupStatus(env)) || { state: 'idle' });
+  }
+
+  if (route === '/warmup/manifest' && request.method === 'PUT') {
+    const source = await request.text();
+    let requests;
+    try {
+      requests = parseWarmupManifest(JSON.parse(source));
+    } catch (e) {
+      return Response.json({ error: `Invalid manifest: ${e.message}` }, { status: 400 });
+    }
+    await bucket.put(WARMUP_MANIFEST_KEY, source, { httpMetadata: { contentType: 'application/json' } });
+    return Response.json({ requests: requests.length, overriddenByKv: Boolean(env.WARMUP_KV && await env.WARMUP_KV.get('manifest')) });
+  }
+
+  if (route === '/warmup' && request.method === 'POST') {
+    let manifest;
+    try {
+      manifest = await loadWarmupManifest(env);
+    } catch (e) {
+      return Response.json({ error: `Invalid manifest: ${e.message}` }, { status: 400 });
+    }
+    if (!manifest) {
+      return Response.json({ error: 'No warm-up manifest' }, { status: 404 });
+    }
+    const previous = await readWarmupStatus(env);
+    if (previous?.state === 'running') {
+      return Response.json({ error: 'A warm-up run is in progress', status: previous }, { status: 409 });
+    }
+    ctx.waitUntil(runWarmup(env, ctx).catch(e => console.error(`Cache warm-up failed: ${e}`)));
+    return Response.json({ started: true, requests: manifest.requests.length }, { status: 202 });
+  }
+
+  if (route === '/gc' && request.method === 'GET') {
+    const state = await readGcState(env);
+    if (state?.pass) {
+      delete state.pass.candidates;
+    }
+    return Response.json(state || { state: 'idle' });
+  }
+
+  if (route === '/gc' && request.method === 'POST') {
+    const previous = await readGcState(env);
+    if (previous?.state === 'running') {
+      return Response.json({ error: 'A sweep is in progress' }, { status: 409 });
+    }
+    ctx.waitUntil(runCacheSweep(env).catch(e => console.error(`Cache sweep failed: ${e}`)));
+    return Response.json({ started: true }, { status: 202 });
+  }
+
+  if (route === '/tm' && (request.method === 'GET' || request.method === 'POST')) {
+    const format = (url.searchParams.get('format') || (request.headers.get('content-type')?.includes('csv') ? 'csv' : 'tmx')).toLowerCase();
+    if (!['tmx', 'csv'].includes(format)) {
+      return Response.json({ error: 'format must be tmx or csv' }, { status: 400 });
+    }
+    if (request.method === 'GET') {
+      try {
+        return await exportTranslationMemory(env, format, url.searchParams.get('from'), url.searchParams.get('to'),
+          url.searchParams.get('cursor') || undefined);
+      } catch (e) {
+        console.error(`Translation memory export failed: ${e}`);
+        return Response.json({ error: `Translation memory storage error: ${e.message}` }, { status: 500 });
+      }
+    }
+    const start = parseInt(url.searchParams.get('cursor') || '0');
+    if (!(start >= 0)) {
+      return Response.json({ error: 'Invalid cursor' }, { status: 400 });
+    }
+    let parsed;
+    try {
+      parsed = parseTranslationMemory(format, await request.text());
+    } catch (e) {
+      return Response.json({ error: `Invalid ${format.toUpperCase()}: ${e.message}` }, { status: 400 });
+    }
+    try {
+      return Response.json({ ...await importTranslationMemory(env, parsed.pairs, start), skipped: parsed.skipped });
+    } catch (e) {
+      console.error(`Translation memory import failed: ${e}`);
+      return Response.json({ error: `Translation memory storage error: ${e.message}` }, { status: 500 });
+    }
+  }
+
+  if (route === '/glossary' && request.method === 'GET') {
+    return Response.json(await loadGlossary(env));
+  }
+
+  if (route === '/glossary' && request.method === 'PUT') {
+    let glossary;
+    try {
+      glossary = parseGlossary(await request.json());
+    } catch (e) {
+      return Response.json({ error: `Invalid glossary: ${e.message}` }, { status: 400 });
+    }
+    await bucket.put(GLOSSARY_KEY, JSON.stringify(glossary), { httpMetadata: { contentType: 'application/json' } });
+    glossaryCache = { glossary: null, loadedAt: 0 };
+    return Response.json({
+      terms: Object.values(glossary).reduce((count, terms) => count + terms.length, 0),
+      overriddenByKv: Boolean(env.TM_KV && await env.TM_KV.get('glossary')),
+    });
+  }
+
+  return Response.json({ error: 'Not found' }, { status: 404 });
+}
+
+// --- Cache warm-up ---
+
+/**
+ * 读取预热清单: env.WARMUP_KV 的 `manifest` 优先, 其次是 R2 中的 __meta/warmup/manifest.json
+ * @param {object} env - Worker env.
+ * @returns {Promise<{requests: Array<object>, version: string}|null>} - The requests and a hash of the manifest
+ *   (a run resumes a previous one only when the manifest is unchanged), or null when there is no manifest.
+ */
+async function loadWarmupManifest(env) {
+  let source = env.WARMUP_KV ? await env.WARMUP_KV.get('manifest') : null;
+  if (!source) {
+    const object = await env.API_CACHE_BUCKET.get(WARMUP_MANIFEST_KEY);
+    source = object ? await object.text() : null;
+  }
+  if (!source) {
+    return null;
+  }
+  return { requests: parseWarmupManifest(JSON.parse(source)), version: await generateHash(source) };
+}
+
+/**
+ * 校验预热清单. 清单是请求数组 (或 `{ "requests": [...] }`), 每项是路径字符串 (GET) 或
+ * `{ "method": "POST", "path": "/translator/translate?api-version=3.0&to=ja", "headers": {...}, "body": [...] }`,
+ * body 不是字符串时按 JSON 发送
+ * @param {Array<string|object>|{requests: Array<string|object>}} manifest - The parsed manifest.
+ * @returns {Array<{method: string, path: string, headers: object, body: string|null}>} - The requests.
+ */
+function parseWarmupManifest(manifest) {
+  const entries = Array.isArray(manifest) ? manifest : manifest?.requests;
+  if (!Array.isArray(entries)) {
+    throw new Error('Warm-up manifest must be an array of requests or { "requests": [...] }');
+  }
+  return entries.map((entry, i) => {
+    const spec = typeof entry === 'string' ? { path: entry } : entry;
+    if (typeof spec?.path !== 'string' || !spec.path.startsWith('/')) {
+      throw new Error(`Warm-up request ${i} needs a path starting with "/"`);
+    }
+    const method = (spec.method || 'GET').toUpperCase();
+    if (method !== 'GET' && method !== 'POST') {
+      throw new Error(`Warm-up request ${i} uses ${method}; only GET and POST responses are cached`);
+    }
+    const headers = { ...spec.headers };
+    let body = spec.body ?? null;
+    if (body !== null && typeof body !== 'string') {
+      body = JSON.stringify(body);
+      if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+        headers['content-type'] = 'application/json';
+      }
+    }
+    return { method, path: spec.path, headers, body };
+  });
+}
+
+/**
+ * 把清单中的一项变成普通的代理请求. min-fresh 让剩余有效期不足 refreshBeforeSeconds 的条目也回源刷新,
+ * stale-while-revalidate=0 让刷新在这次请求里完成, 而不是交给 waitUntil (清单自己的 cf-cache-control 优先)
+ * @param {{method: string, path: string, headers: object, body: string|null}} spec - A manifest request.
+ * @param {number} refreshBeforeSeconds - Entries expiring sooner than this are refreshed.
+ * @returns {Request} - The request to replay.
+ */
+function buildWarmupRequest(spec, refreshBeforeSeconds) {
+  const headers = new Headers(spec.headers);
+  const directives = [`min-fresh=${refreshBeforeSeconds}`, 'stale-while-revalidate=0', headers.get(CACHE_CONTROL_HEADER)];
+  headers.set(CACHE_CONTROL_HEADER, directives.filter(Boolean).join(', '));
+  return new Request(`${WARMUP_REQUEST_ORIGIN}${spec.path}`, { method: spec.method, headers, body: spec.body });
+}
+
+/**
+ * 通过正常的缓存流程 (不做客户端认证和配额) 重放一个预热请求
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @param {Array<object>} routes - Routes from loadRoutes.
+ * @param {object} spec - A manifest request.
+ * @param {number} refreshBeforeSeconds - See buildWarmupRequest.
+ * @returns {Promise<{outcome: string, status?: number, error?: string}>} - `fresh` (already cached), `warmed`
+ *   (fetched from the origin), `failed`, or `throttled` (the origin is rate limiting or down).
+ */
+async function warmRequest(env, ctx, routes, spec, refreshBeforeSeconds) {
+  const request = buildWarmupRequest(spec, refreshBeforeSeconds);
+  const route = matchRoute(routes, new URL(request.url).pathname);
+  if (!route) {
+    return { outcome: 'failed', error: 'No route for this path' };
+  }
+  let response;
+  try {
+    response = await handleCachedRequest(request, env, ctx, route, null);
+    await response.arrayBuffer();
+  } catch (e) {
+    return { outcome: 'failed', error: `${e}` };
+  }
+  const cacheStatus = response.headers.get('X-Cache-Status') || '';
+  if (response.status === 429 || response.status === 503) {
+    return { outcome: 'throttled', status: response.status };
+  }
+  if (response.status >= 400) {
+    return { outcome: 'failed', status: response.status };
+  }
+  if (cacheStatus === 'BYPASS') {
+    return { outcome: 'failed', status: response.status, error: 'Not cacheable' };
+  }
+  return { outcome: cacheStatus.startsWith('HIT') ? 'fresh' : 'warmed', status: response.status };
+}
+
+/**
+ * 读取上一次预热的进度报告
+ * @param {object} env - Worker env.
+ * @returns {Promise<object|null>} - The status written by runWarmup, or null before the first run.
+ */
+async function readWarmupStatus(env) {
+  const object = await env.API_CACHE_BUCKET.get(WARMUP_STATUS_KEY);
+  return object ? object.json() : null;
+}
+
+/**
+ * 预热任务: 按清单重放请求, 填充 API_CACHE_BUCKET 并刷新快过期的条目. 并发数和每秒请求数有上限;
+ * 用完时间预算 (state `paused`) 或源站限流 (state `throttled`) 时停下, 下一次运行从 nextIndex 继续
+ * (清单变化后从头开始). 进度和失败记录写在 R2 的 __meta/warmup/status.json
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @returns {Promise<object|null>} - The final status, or null when there is no manifest or a run is in progress.
+ */
+async function runWarmup(env, ctx) {
+  const routes = await loadRoutes(env);
+  const manifest = await loadWarmupManifest(env);
+  if (!routes || !manifest) {
+    return null;
+  }
+  const startedAt = new Date().getTime();
+  const budgetMs = (parseInt(env.WARMUP_TIME_BUDGET_SECONDS) || DEFAULT_WARMUP_TIME_BUDGET_SECONDS) * 1000;
+  const previous = await readWarmupStatus(env);
+  if (previous?.state === 'running' && startedAt - previous.updatedAt < budgetMs + WARMUP_STALE_RUN_MS) {
+    return null;
+  }
+
+  const resume = previous && previous.version === manifest.version && ['paused', 'throttled'].includes(previous.state);
+  const status = resume ? previous : {
+    version: manifest.version,
+    total: manifest.requests.length,
+    nextIndex: 0,
+    fresh: 0,
+    warmed: 0,
+    failed: 0,
+    failures: [],
+  };
+  Object.assign(status, { state: 'running', startedAt: new Date(startedAt).toISOString(), finishedAt: null, updatedAt: startedAt });
+  const saveStatus = () => env.API_CACHE_BUCKET.put(WARMUP_STATUS_KEY, JSON.stringify(status));
+  await saveStatus();
+
+  const concurrency = parseInt(env.WARMUP_CONCURRENCY) || DEFAULT_WARMUP_CONCURRENCY;
+  const intervalMs = 1000 / (parseFloat(env.WARMUP_REQUESTS_PER_SECOND) || DEFAULT_WARMUP_REQUESTS_PER_SECOND);
+  const refreshBeforeSeconds = parseInt(env.WARMUP_REFRESH_BEFORE_SECONDS) || DEFAULT_WARMUP_REFRESH_BEFORE_SECONDS;
+  let nextSlot = startedAt; // Requests are started at most once per intervalMs, across all workers
+  let retryFrom = Infinity; // First request the origin throttled, replayed by the next run
+  let stopReason = null;
+  let completed = 0;
+
+  const worker = async () => {
+    while (!stopReason && status.nextIndex < status.total) {
+      const now = new Date().getTime();
+      if (now - startedAt >= budgetMs) {
+        stopReason = 'paused';
+        break;
+      }
+      const index = status.nextIndex++;
+      const delay = nextSlot - now;
+      nextSlot = Math.max(now, nextSlot) + intervalMs;
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      const spec = manifest.requests[index];
+      const result = await warmRequest(env, ctx, routes, spec, refreshBeforeSeconds);
+      if (result.outcome === 'throttled') {
+        stopReason = 'throttled';
+        retryFrom = Math.min(retryFrom, index);
+        continue;
+      }
+      status[result.outcome]++;
+      if (result.outcome === 'failed' && status.failures.length < WARMUP_MAX_REPORTED_FAILURES) {
+        status.failures.push({ index, method: spec.method, path: spec.path, status: result.status ?? null, error: result.error ?? null });
+      }
+      if (++completed % WARMUP_STATUS_SAVE_EVERY === 0) {
+        status.updatedAt = new Date().getTime();
+        await saveStatus();
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  status.nextIndex = Math.min(status.nextIndex, retryFrom);
+  status.state = stopReason || 'complete';
+  status.updatedAt = new Date().getTime();
+  status.finishedAt = new Date(status.updatedAt).toISOString();
+  await saveStatus();
+  console.log(`Cache warm-up ${status.state}: ${status.nextIndex}/${status.total} requests, ${status.warmed} warmed, ${status.fresh} fresh, ${status.failed} failed`);
+  return status;
+}
+
+// --- Garbage collection and size cap ---
+
+/**
+ * 条目最初写入的时间. touchCacheEntry 重写对象会改变 R2 的 uploaded, 原来的时间保存在 customMetadata.stored
+ * @param {object} object - R2 object, head or list entry.
+ * @returns {number} - Milliseconds since the epoch.
+ */
+function storedAt(object) {
+  return parseInt(object.customMetadata?.stored) || new Date(object.uploaded).getTime();
+}
+
+/**
+ * 条目最近一次被读取的时间 (没有记录时为写入时间)
+ * @param {object} object - R2 object, head or list entry.
+ * @returns {number} - Milliseconds since the epoch.
+ */
+function lastAccessed(object) {
+  return parseInt(object.customMetadata?.accessed) || storedAt(object);
+}
+
+/**
+ * 在 customMetadata.accessed 中记录 L2 命中的时间, 供 CACHE_MAX_BYTES 的 LRU 淘汰使用. R2 不能单独修改元数据,
+ * 只能整条重写, 所以每个条目最多每 ACCESS_TOUCH_INTERVAL_SECONDS 记录一次, 且只在设置了 CACHE_MAX_BYTES 时记录.
+ * L1 命中不经过 R2, 但 L1 条目总是由一次 L2 命中写入的
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @param {string} key - The cache key.
+ * @param {object} object - The R2 object that was just served.
+ */
+function touchCacheEntry(env, ctx, key, object) {
+  const now = new Date().getTime();
+  if (!parseInt(env.CACHE_MAX_BYTES) || now - lastAccessed(object) < ACCESS_TOUCH_INTERVAL_SECONDS * 1000) {
+    return;
+  }
+  ctx.waitUntil((async () => {
+    const current = await env.API_CACHE_BUCKET.get(key);
+    // Skip entries replaced since they were served
+    if (current === null || current.httpEtag !== object.httpEtag) {
+      return;
+    }
+    const body = await bodyForStorage(new Response(current.body, { headers: { 'content-length': String(current.size) } }));
+    await env.API_CACHE_BUCKET.put(key, body, {
+      httpMetadata: current.httpMetadata,
+      customMetadata: { ...current.customMetadata, stored: String(storedAt(current)), accessed: String(now) },
+    });
+  })().catch(e => console.error(`Failed to record access to ${key}: ${e}`)));
+}
+
+/**
+ * 过期条目在删除前保留的秒数: env.GC_GRACE_SECONDS, 默认是 env 和各路由中最长的 stale-while-revalidate /
+ * stale-if-error 窗口 (请求头中的 cf-cache-control 不在考虑之内)
+ * @param {object} env - Worker env.
+ * @returns {Promise<number>} - Grace period in seconds.
+ */
+async function gcGraceSeconds(env) {
+  const configured = parseInt(env.GC_GRACE_SECONDS);
+  if (!Number.isNaN(configured)) {
+    return configured;
+  }
+  let routes = [];
+  try {
+    routes = (await loadRoutes(env)) || [];
+  } catch (e) {
+    console.error(`Invalid route configuration, using env stale windows only: ${e}`);
+  }
+  const windows = [env.STALE_WHILE_REVALIDATE_SECONDS, env.STALE_IF_ERROR_SECONDS, DEFAULT_STALE_WHILE_REVALIDATE_SECONDS, DEFAULT_STALE_IF_ERROR_SECONDS];
+  for (const route of routes) {
+    windows.push(route.staleWhileRevalidateSeconds, route.staleIfErrorSeconds);
+  }
+  return Math.max(0, ...windows.map(value => parseInt(value)).filter(value => !Number.isNaN(value)));
+}
+
+/**
+ * 读取清理任务的状态
+ * @param {object} env - Worker env.
+ * @returns {Promise<object|null>} - The state written by runCacheSweep, or null before the first run.
+ */
+async function readGcState(env) {
+  const object = await env.API_CACHE_BUCKET.get(GC_STATE_KEY);
+  return object ? object.json() : null;
+}
+
+/**
+ * 清理任务: 分页遍历 API_CACHE_BUCKET, 分批删除过期超过宽限期的条目. 用完时间预算后保存 cursor, 下一次运行继续;
+ * 遍历完一整轮时, 如果剩余条目总大小超过 env.CACHE_MAX_BYTES, 按最近访问时间从旧到新淘汰,
+ * 直到降到上限的 GC_EVICTION_TARGET_RATIO. 状态写在 R2 的 __meta/gc/state.json.
+ * 被删除的条目在 L1 中最多再留 L1_CACHE_TTL_SECONDS (不会让整个 L1 失效)
+ * @param {object} env - Worker env.
+ * @returns {Promise<object|null>} - The saved state, or null when a run is in progress.
+ */
+async function runCacheSweep(env) {
+  const bucket = env.API_CACHE_BUCKET;
+  const startedAt = new Date().getTime();
+  const budgetMs = (parseInt(env.GC_TIME_BUDGET_SECONDS) || DEFAULT_GC_TIME_BUDGET_SECONDS) * 1000;
+  const state = (await readGcState(env)) || { cursor: null, pass: null, lastPass: null };
+  if (state.state === 'running' && startedAt - state.updatedAt < budgetMs + GC_STALE_RUN_MS) {
+    return null;
+  }
+  const saveState = () => bucket.put(GC_STATE_KEY, JSON.stringify(state));
+  state.state = 'running';
+  state.updatedAt = startedAt;
+  await saveState();
+
+  const maxBytes = parseInt(env.CACHE_MAX_BYTES) || 0;
+  const graceSeconds = await gcGraceSeconds(env);
+  // Totals of the pass over the whole bucket, which may span several runs
+  const pass = state.pass || {
+    startedAt: new Date(startedAt).toISOString(),
+    objects: 0,
+    bytes: 0,
+    expired: 0,
+    candidates: [], // [key, lastAccessed, size] of the least recently used entries seen so far
+  };
+  let cursor = state.cursor || undefined;
+  let complete = false;
+  while (new Date().getTime() - startedAt < budgetMs) {
+    const listing = await bucket.list({ cursor, include: ['customMetadata'] });
+    const expiredKeys = [];
+    for (const object of listing.objects) {
+      if (object.key.startsWith(META_KEY_PREFIX)) {
+        continue;
+      }
+      if (object.customMetadata?.expiration && secondsPastExpiration(object) > graceSeconds) {
+        expiredKeys.push(object.key);
+        continue;
+      }
+      pass.objects++;
+      pass.bytes += object.size;
+      if (maxBytes && !isVaryPointer(object)) {
+        pass.candidates.push([object.key, lastAccessed(object), object.size]);
+      }
+    }
+    if (pass.candidates.length > 2 * GC_EVICTION_CANDIDATES) {
+      pass.candidates.sort((a, b) => a[1] - b[1]).length = GC_EVICTION_CANDIDATES;
+    }
+    if (expiredKeys.length > 0) {
+      await bucket.delete(expiredKeys);
+      pass.expired += expiredKeys.length;
+    }
+    if (!listing.truncated) {
+      complete = true;
+      break;
+    }
+    cursor = listing.cursor;
+  }
+
+  if (complete) {
+    let evicted = 0;
+    let evictedBytes = 0;
+    if (maxBytes && pass.bytes > maxBytes) {
+      const excess = pass.bytes - maxBytes * GC_EVICTION_TARGET_RATIO;
+      const keys = [];
+      for (const [key, , size] of pass.candidates.sort((a, b) => a[1] - b[1])) {
+        if (evictedBytes >= excess) {
+          break;
+        }
+        keys.push(key);
+        evictedBytes += size;
+      }
+      for (let i = 0; i < keys.length; i += 1000) {
+        await bucket.delete(keys.slice(i, i + 1000));
+      }
+      evicted = keys.length;
+    }
+    const { candidates, ...totals } = pass;
+    state.lastPass = { ...totals, finishedAt: new Date().toISOString(), evicted, evictedBytes, bytesAfter: pass.bytes - evictedBytes };
+    state.pass = null;
+    state.cursor = null;
+    console.log(`Cache sweep finished a pass: ${pass.objects} objects, ${pass.bytes} bytes, ${pass.expired} expired deleted, ${evicted} evicted`);
+  } else {
+    state.pass = pass;
+    state.cursor = cursor;
+  }
+  state.state = complete ? 'complete' : 'paused';
+  state.updatedAt = new Date().getTime();
+  await saveState();
+  return state;
+}
+
+/**
+ * 某个 cron trigger 要运行哪些任务. env.GC_CRON / env.WARMUP_CRON 是各自的 cron 表达式 (和 wrangler 的
+ * triggers.crons 中的写法完全相同); 没有配置的任务在另一个任务以外的 trigger 上运行, 都没配置时每个 trigger 都运行两者
+ * @param {string} cron - The cron expression of the trigger (event.cron).
+ * @param {object} env - Worker env.
+ * @returns {{sweep: boolean, warmup: boolean}}
+ */
+function scheduledJobs(cron, env) {
+  return {
+    sweep: env.GC_CRON ? cron === env.GC_CRON : !env.WARMUP_CRON || cron !== env.WARMUP_CRON,
+    warmup: env.WARMUP_CRON ? cron === env.WARMUP_CRON : !env.GC_CRON || cron !== env.GC_CRON,
+  };
+}
+
+// --- Request coalescing ---
+
+// Origin fetches in flight in this isolate, keyed by cache key. Concurrent misses share one promise.
+const inflightOriginFetches = new Map();
+
+/**
+ * Single-flight: 同一个 key 同时只执行一次 fn, 其余调用方共享它的结果.
+ * 结果只能使用一次时 (例如流式 body) 传入 share, 结果就绪时按调用方的数量拆开
+ * @param {string} key - The coalescing key (usually the cache key).
+ * @param {function(): Promise<*>} fn - Produces the shared result.
+ * @param {function(*, number): Array<*>|null} [share] - Splits the result into one copy per caller;
+ *   without it every caller gets the same result, which must then be safe to hand to several callers.
+ * @returns {Promise<*>} - This caller's copy of the result.
+ */
+function coalesce(key, fn, share = null) {
+  let flight = inflightOriginFetches.get(key);
+  if (!flight) {
+    flight = { callers: 0 };
+    // The entry is gone before the result is split, so the number of callers is final by then
+    flight.results = fn()
+      .finally(() => inflightOriginFetches.delete(key))
+      .then(result => share ? share(result, flight.callers) : Array(flight.callers).fill(result));
+    inflightOriginFetches.set(key, flight);
+  }
+  flight.callers++;
+  return flight.results.then(results => results.pop());
+}
+
+/**
+ * 把响应变成可以交给多个调用方的快照 (Response body 只能读一次)
+ * @param {Response} response - The response.
+ * @param {string} cacheStatus - Value for X-Cache-Status when the snapshot is replayed.
+ * @param {object} [options]
+ * @param {boolean} [options.stream] - Keep the body as a stream instead of buffering it; such snapshots
+ *   are split between callers with shareSnapshot.
+ * @returns {Promise<{status: number, statusText: string, headers: Array<Array<string>>, body: ArrayBuffer|ReadableStream|null, cacheStatus: string}>}
+ */
+async function snapshotResponse(response, cacheStatus, { stream = false } = {}) {
+  let body = null;
+  if (!response.bodyUsed) {
+    body = stream ? response.body : await response.arrayBuffer();
+  }
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers: [...response.headers.entries()],
+    body,
+    cacheStatus,
+  };
+}
+
+/**
+ * coalesce 的 share: 流式 body 通过 tee() 分给每个调用方, 已缓冲的 body 直接共享
+ * @param {object} snapshot - A snapshot from snapshotResponse.
+ * @param {number} count - Number of callers.
+ * @returns {Array<object>} - One snapshot per caller.
+ */
+function shareSnapshot(snapshot, count) {
+  const copies = [];
+  let body = snapshot.body;
+  for (let i = 1; i < count; i++) {
+    let copy = body;
+    if (body instanceof ReadableStream) {
+      [copy, body] = body.tee();
+    }
+    copies.push({ ...snapshot, body: copy });
+  }
+  copies.push({ ...snapshot, body });
+  return copies;
+}
+
+/**
+ * 放弃一个不会被使用的快照, 流式 body 不取消的话 tee() 会一直为它缓冲数据
+ * @param {object} snapshot - A snapshot from snapshotResponse.
+ */
+function discardSnapshot(snapshot) {
+  if (snapshot?.body instanceof ReadableStream) {
+    snapshot.body.cancel().catch(() => {});
+  }
+}
+
+/**
+ * 用快照构造一个新的响应
+ * @param {object} snapshot - A snapshot from snapshotResponse.
+ * @param {string|null} cacheKey - The cache key, reported in X-Cache-Key when given.
+ * @returns {Response} - A fresh response.
+ */
+function responseFromSnapshot(snapshot, cacheKey) {
+  const headers = new Headers(snapshot.headers);
+  headers.set('X-Cache-Status', snapshot.cacheStatus);
+  if (cacheKey) {
+    headers.set('X-Cache-Key', cacheKey);
+  }
+  const isNullBodyStatus = [101, 204, 205, 304].includes(snapshot.status);
+  if (isNullBodyStatus) {
+    discardSnapshot(snapshot);
+  }
+  return new Response(isNullBodyStatus ? null : snapshot.body, {
+    status: snapshot.status,
+    statusText: snapshot.statusText,
+    headers: headers,
+  });
+}
+
+/**
+ * Durable Object: 跨 isolate 的缓存键锁. 锁带有 TTL, 持有者崩溃后会自动失效
+ */
+export class CacheLock {
+  constructor(state, env) {
+    this.state = state;
+    this.locks = new LocalCacheLock();
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const key = url.searchParams.get('key');
+    if (!key) {
+      return new Response('Missing key', { status: 400 });
+    }
+    if (url.pathname === '/acquire') {
+      const acquired = await this.locks.acquire(key, parseInt(url.searchParams.get('ttl')) || COALESCE_LOCK_TTL_MS);
+      return Response.json({ acquired });
+    }
+    if (url.pathname === '/release') {
+      await this.locks.release(key);
+      return Response.json({ released: true });
+    }
+    return new Response('Not found', { status: 404 });
+  }
+}
+
+/**
+ * 进程内的锁, 和 CacheLock Durable Object 的接口相同; 本地测试时可以直接绑定为 env.CACHE_LOCK
+ */
+export class LocalCacheLock {
+  constructor() {
+    this.locks = new Map(); // key -> lock expiry timestamp
+  }
+
+  async acquire(key, ttlMs) {
+    const now = new Date().getTime();
+    const heldUntil = this.locks.get(key);
+    if (heldUntil && heldUntil > now) {
+      return false;
+    }
+    this.locks.set(key, now + ttlMs);
+    return true;
+  }
+
+  async release(key) {
+    this.locks.delete(key);
+  }
+}
+
+/**
+ * env.CACHE_LOCK 可以是 Durable Object namespace, 也可以是带 acquire/release 的本地锁
+ * @param {object} env - Worker env.
+ * @returns {{acquire: function(string, number): Promise<boolean>, release: function(string): Promise<void>}|null}
+ */
+function getCacheLock(env) {
+  const binding = env.CACHE_LOCK;
+  if (!binding) {
+    return null;
+  }
+  if (typeof binding.idFromName !== 'function') {
+    return binding;
+  }
+  const call = async (action, key, ttlMs) => {
+    const stub = binding.get(binding.idFromName(key));
+    const response = await stub.fetch(`https://cache-lock/${action}?key=${encodeURIComponent(key)}&ttl=${ttlMs}`, { method: 'POST' });
+    return response.json();
+  };
+  return {
+    acquire: async (key, ttlMs) => (await call('acquire', key, ttlMs)).acquired,
+    release: async key => { await call('release', key, 0); },
+  };
+}
+
+/**
+ * 等待其他 isolate 中的持锁者把条目写入 R2
+ * @param {object} env - Worker env.
+ * @param {string} cacheKey - The cache key.
+ * @param {Request} request - The waiting request, used to pick its variant when the holder stored a Vary pointer.
+ * @returns {Promise<object|null>} - The R2 object, or null if it did not show up in time.
+ */
+async function waitForCacheEntry(env, cacheKey, request) {
+  const deadline = new Date().getTime() + COALESCE_WAIT_MS;
+  while (new Date().getTime() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, COALESCE_POLL_INTERVAL_MS));
+    let object = await env.API_CACHE_BUCKET.get(cacheKey);
+    if (object !== null && isVaryPointer(object)) {
+      const variantKey = await variantCacheKey(baseCacheKey(cacheKey), request, object.customMetadata.vary.split(','));
+      object = await env.API_CACHE_BUCKET.get(variantKey);
+    }
+    if (object !== null && secondsPastExpiration(object) === 0) {
+      return object;
+    }
+  }
+  return null;
+}
+
+/**
+ * 缓存未命中时请求源站并写入缓存. 同一 isolate 内通过 coalesce 共享, 跨 isolate 通过 CACHE_LOCK:
+ * 拿不到锁的一方等待持锁者写入 R2, 超时后再自己请求源站
+ * @param {Request} request - The original request.
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @param {object} route - The matched route.
+ * @param {string} cacheKey - The cache key.
+ * @param {object} cacheOptions - Request cache flags, see cacheOriginResponse.
+ * @param {object|null} [validators] - Origin validators of the expired entry under cacheKey (GET only, see
+ *   originValidators); an origin 304 refreshes that entry instead of downloading the body again.
+ * @returns {Promise<object>} - A response snapshot with a streaming body (share it with shareSnapshot).
+ *   Rejects on origin network errors.
+ */
+async function fetchOriginCoalesced(request, env, ctx, route, cacheKey, cacheOptions, validators = null) {
+  const lock = getCacheLock(env);
+  let acquired = true;
+  if (lock) {
+    acquired = await lock.acquire(cacheKey, COALESCE_LOCK_TTL_MS).catch(e => {
+      console.error(`Failed to acquire cache lock for ${cacheKey}: ${e}`);
+      return true;
+    });
+    if (!acquired) {
+      const object = await waitForCacheEntry(env, cacheKey, request);
+      if (object) {
+        const { status, headers } = cachedResponseMeta(object);
+        return {
+          status: status,
+          statusText: '',
+          headers: [...headers.entries()],
+          body: object.body,
+          cacheStatus: 'HIT-L2',
+        };
+      }
+    }
+  }
+
+  const releaseLock = () => acquired && lock && lock.release(cacheKey).catch(e => console.error(`Failed to release cache lock for ${cacheKey}: ${e}`));
+  let originResponse;
+  try {
+    originResponse = await fetchFromOrigin(request, env, route, buildOriginRequest(request, env, route, request.body, { cacheable: true, validators }), { cacheable: true });
+    if (validators && originResponse.status === 304) {
+      const snapshot = await refreshCachedEntry(request, env, ctx, route, cacheKey, originResponse);
+      if (snapshot) {
+        releaseLock();
+        return { ...snapshot, request };
+      }
+      // The entry was purged in the meantime: fetch the full response after all
+      originResponse = await fetchFromOrigin(request, env, route, buildOriginRequest(request, env, route, request.body, { cacheable: true }), { cacheable: true });
+    }
+  } catch (e) {
+    releaseLock();
+    throw e;
+  }
+  const { write } = await cacheOriginResponse(request, env, ctx, route, cacheKey, originResponse, cacheOptions);
+  ctx.waitUntil(Promise.resolve(write).finally(releaseLock));
+  // The request is kept so that waiters can tell whether a response that turned out to Vary fits them too
+  return { ...await snapshotResponse(originResponse, 'MISS', { stream: true }), request };
+}
+
+/**
+ * 缓存条目中源站给出的校验器, 用于向源站发条件请求 (R2 自己的 etag 源站不认识)
+ * @param {object} object - R2 object written by cacheOriginResponse.
+ * @returns {{etag: string|null, lastModified: string|null}|null} - Null when the origin sent neither.
+ */
+function originValidators(object) {
+  let storedHeaders;
+  try {
+    storedHeaders = new Headers(JSON.parse(object.customMetadata?.headers || '{}'));
+  } catch (e) {
+    return null;
+  }
+  const etag = storedHeaders.get('etag');
+  const lastModified = storedHeaders.get('last-modified');
+  return etag || lastModified ? { etag, lastModified } : null;
+}
+
+/**
+ * 源站对条件请求返回 304: 用 304 中的头更新缓存条目 (RFC 9111 4.3.4), 重新计算过期时间并写回 R2
+ * @param {Request} request - The original request.
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @param {object} route - The matched route.
+ * @param {string} cacheKey - The key of the revalidated entry.
+ * @param {Response} notModified - The origin's 304 response.
+ * @returns {Promise<object|null>} - A REVALIDATED snapshot of the entry, or null if the entry is gone.
+ */
+async function refreshCachedEntry(request, env, ctx, route, cacheKey, notModified) {
+  const object = await env.API_CACHE_BUCKET.get(cacheKey);
+  if (object === null) {
+    return null;
+  }
+  const storedHeaders = new Headers(JSON.parse(object.customMetadata?.headers || '{}'));
+  for (const [key, value] of storableHeaders(notModified.headers).entries()) {
+    storedHeaders.set(key, value);
+  }
+  const status = parseInt(object.customMetadata?.status) || 200;
+  const expirationTimestamp = new Date().getTime() + resolveTtl(request, env, route, status, storedHeaders) * 1000;
+  const body = await object.arrayBuffer();
+  ctx.waitUntil(
+    env.API_CACHE_BUCKET.put(cacheKey, body, {
+      httpMetadata: storedHeaders,
+      customMetadata: {
+        ...object.customMetadata,
+        expiration: expirationTimestamp.toString(),
+        headers: JSON.stringify(Object.fromEntries(storedHeaders.entries())),
+      },
+    })
+    .catch(e => console.error(`Failed to refresh revalidated entry ${cacheKey}: ${e}`))
+  );
+  return {
+    status,
+    statusText: '',
+    headers: [...withValidators(storedHeaders, object).entries()],
+    body: body,
+    cacheStatus: 'REVALIDATED',
+  };
+}
+
+/**
+ * 单个缓存条目的大小上限 (字节): 路由的 maxCacheableBytes, 其次是 env.MAX_CACHEABLE_BYTES
+ * @param {object} env - Worker env.
+ * @param {object} route - The matched route.
+ * @returns {number} - The limit in bytes.
+ */
+function maxCacheableBytes(env, route) {
+  return parseInt(route.maxCacheableBytes ?? env.MAX_CACHEABLE_BYTES) || DEFAULT_MAX_CACHEABLE_BYTES;
+}
+
+/**
+ * 把源站响应写入 R2 (如果方法、状态码和 Cache-Control 允许). 写入的是 body 的 tee() 分支,
+ * 客户端拿到的另一路照常流式返回; 超过 maxCacheableBytes 的响应和 text/event-stream 不缓存, 也不 tee
+ * @param {Request} request - The original request.
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @param {object} route - The matched route.
+ * @param {string} cacheKey - The cache key.
+ * @param {Response} originResponse - The origin response; it is cloned when cached, never consumed.
+ * @param {{isCacheableMethod: boolean, forceCache: boolean, bypassCache: boolean}} cacheOptions - Request cache flags.
+ * @returns {Promise<{write: Promise|null}>} - The pending R2 write (already passed to ctx.waitUntil), or null if
+ *   nothing is cached. It is wrapped so that awaiting this function does not wait for the write.
+ */
+async function cacheOriginResponse(request, env, ctx, route, cacheKey, originResponse, cacheOptions) {
+    const { isCacheableMethod, forceCache, bypassCache } = cacheOptions;
+    const cacheControl = originResponse.headers.get('Cache-Control')?.toLowerCase();
+    const varyHeaders = parseVary(originResponse.headers.get('Vary'));
+    const maxBytes = maxCacheableBytes(env, route);
+    const contentLength = parseInt(originResponse.headers.get('content-length'));
+
+    // Modify shouldCache condition to potentially include POST
+    const shouldCache =
+        (isCacheableMethod || forceCache) && // Allow cacheable methods or if forced
+        isCacheableResponse(env, route, originResponse.status, originResponse.headers) &&
+        !varyHeaders.includes('*') &&
+        !UNCACHEABLE_CONTENT_TYPE.test(originResponse.headers.get('content-type') || '') &&
+        !(contentLength > maxBytes);
+
+    if (shouldCache && !bypassCache) {
+        // Only responses that are stored are cloned: an unread tee() branch would buffer the whole body
+        const responseToCache = originResponse.clone();
+        const ttl = resolveTtl(request, env, route, originResponse.status, originResponse.headers);
+        //console.log(`Attempting to cache response for key: ${cacheKey} with TTL: ${ttl} seconds`);
+
+        try {
+            // The raw bytes go into the object body; status and headers go into customMetadata
+            const expirationTimestamp = new Date().getTime() + ttl * 1000;
+            // A response that varies on request headers is stored under its variant key, and the base key
+            // holds a pointer listing those headers so later lookups can find the variant
+            const baseKey = baseCacheKey(cacheKey);
+            const storageKey = await variantCacheKey(baseKey, request, varyHeaders);
+            rememberVary(baseKey, varyHeaders);
+            const storedHeaders = storableHeaders(responseToCache.headers);
+            // The body is read inside the write, so the client's branch is never held up by it
+            const write = bodyForStorage(responseToCache, maxBytes)
+                .then(async body => {
+                  if (body === null) {
+                    console.log(`Response for ${storageKey} exceeds ${maxBytes} bytes, not cached`);
+                    return;
+                  }
+                  if (validatesOriginResponses(route) && responseToCache.ok) {
+                    body = await validatedOriginBody(route, storageKey, body);
+                    if (body === null) {
+                      return;
+                    }
+                  }
+                  const writes = [
+                    env.API_CACHE_BUCKET.put(storageKey, body, {
+                        httpMetadata: storedHeaders,
+                        customMetadata: {
+                            expiration: expirationTimestamp.toString(),
+                            status: responseToCache.status.toString(),
+                            headers: JSON.stringify(Object.fromEntries(storedHeaders.entries())),
+                        },
+                        // expirationTtl: ttl // Alternative: Let R2 handle deletion
+                    }),
+                  ];
+                  if (varyHeaders.length > 0) {
+                    writes.push(env.API_CACHE_BUCKET.put(baseKey, '', {
+                        customMetadata: { expiration: expirationTimestamp.toString(), vary: varyHeaders.join(',') },
+                    }));
+                  }
+                  return Promise.all(writes);
+                })
+                .catch(e => console.error(`Failed to cache response for ${storageKey}: ${e}`));
+            ctx.waitUntil(write);
+            return { write };
+        } catch (e) {
+            console.error(`Failed to read response body: ${e}`);
+        }
+    } else {
+        console.log(`Response for ${cacheKey} will not be cached (Method: ${request.method}, Status: ${originResponse.status}, CacheableMethod: ${isCacheableMethod}, Cache-Control: ${cacheControl}, Pragma: ${originResponse.headers.get('Pragma')}, Content-Length: ${originResponse.headers.get('content-length')}, Bypass: ${bypassCache})`);
+    }
+    return { write: null };
+}
+
+/**
+ * 值得随缓存条目重放的响应头: 去掉 hop-by-hop 头 (包括 Connection 中列出的) 和长度/编码头
+ * @param {Headers} headers - Origin response headers.
+ * @returns {Headers} - The headers to store in httpMetadata and customMetadata.headers.
+ */
+function storableHeaders(headers) {
+  const connectionHeaders = (headers.get('connection') || '').split(',').map(name => name.trim().toLowerCase());
+  const headersToStore = new Headers();
+  for (const [key, value] of headers.entries()) {
+    if (!UNSTORED_RESPONSE_HEADERS.includes(key) && !connectionHeaders.includes(key)) {
+      headersToStore.set(key, value);
+    }
+  }
+  return headersToStore;
+}
+
+/**
+ * 写入 R2 的 body. 长度已知时通过 FixedLengthStream 流式写入, 不把整个 body 读入内存;
+ * 长度未知 (chunked 或被解压过的响应) 时 R2 需要先缓冲, 最多缓冲 maxBytes, 超出时放弃
+ * @param {Response} response - The response to store; its body is consumed (or cancelled when too large).
+ * @param {number} [maxBytes] - Largest body worth storing.
+ * @returns {Promise<ReadableStream|ArrayBuffer|null>} - A value R2 put accepts, or null when the body is too large.
+ */
+async function bodyForStorage(response, maxBytes = Infinity) {
+  const length = parseInt(response.headers.get('content-length'));
+  if (response.body && Number.isFinite(length) && !response.headers.has('content-encoding') && typeof FixedLengthStream === 'function') {
+    if (length > maxBytes) {
+      // Not awaited: cancelling one tee() branch only settles once the other one is done too
+      response.body.cancel().catch(() => {});
+      return null;
+    }
+    const { readable, writable } = new FixedLengthStream(length);
+    response.body.pipeTo(writable).catch(e => console.error(`Failed to stream response body to R2: ${e}`));
+    return readable;
+  }
+  if (!response.body) {
+    return new ArrayBuffer(0);
+  }
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    size += value.byteLength;
+    if (size > maxBytes) {
+      reader.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(value);
+  }
+  const body = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    body.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return body.buffer;
+}
+
+/**
+ * 缓存条目的状态码和响应头
+ * @param {object} object - R2 object (or head) written by cacheOriginResponse.
+ * @returns {{status: number, headers: Headers}} - Stored status and headers.
+ */
+function cachedResponseMeta(object) {
+  let storedHeaders = {};
+  try {
+    storedHeaders = JSON.parse(object.customMetadata?.headers || '{}');
+  } catch (e) {
+    console.error(`Invalid stored headers for ${object.key}: ${e}`);
+  }
+  return {
+    status: parseInt(object.customMetadata?.status) || 200,
+    headers: withValidators(new Headers(storedHeaders), object),
+  };
+}
+
+/**
+ * 源站没有给出校验器时, 用 R2 对象的 etag 和上传时间作为 ETag / Last-Modified
+ * @param {Headers} headers - Stored response headers, updated in place.
+ * @param {object} object - The R2 object (or head) holding the entry.
+ * @returns {Headers} - The headers.
+ */
+function withValidators(headers, object) {
+  if (!headers.has('etag') && object.httpEtag) {
+    headers.set('ETag', object.httpEtag);
+  }
+  if (!headers.has('last-modified') && object.uploaded) {
+    headers.set('Last-Modified', new Date(storedAt(object)).toUTCString());
+  }
+  return headers;
+}
+
+/**
+ * 用缓存条目构造响应, body 直接从 R2 流式返回
+ * @param {object} object - R2 object written by cacheOriginResponse.
+ * @param {string} cacheKey - The cache key.
+ * @param {string} cacheStatus - Value for X-Cache-Status (HIT-L2 or STALE).
+ * @returns {Response} - The response.
+ */
+function buildCachedResponse(object, cacheKey, cacheStatus) {
+  const { status, headers } = cachedResponseMeta(object);
+  headers.set('X-Cache-Status', cacheStatus);
+  headers.set('X-Cache-Key', cacheKey);
+  return new Response(object.body, {
+    status: status,
+    headers: headers,
+  });
+}
+
+/**
+ * 缓存逻辑: 查 R2, 未命中时请求源站并写入缓存
+ * @param {Request} request - The incoming request.
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @param {object} route - The matched route.
+ * @param {ClientQuota|null} quota - The caller's quota, or null when no limits apply.
+ * @returns {Promise<Response>} - The response for the client.
+ */
+async function handleCachedRequest(request, env, ctx, route, quota) {
+  // --- Cache Control ---
+  const cacheDirectives = parseCacheControl(request.headers.get(CACHE_CONTROL_HEADER));
+  let bypassCache = cacheDirectives['no-cache'] === true || route.cache === 'bypass';
+  const forceCache = cacheDirectives['force-cache'] === true || route.cache === 'force'; // Optional: Header to force caching even if normally disallowed
+
+  // --- Generate Cache Key (Now potentially async and reads body for POST) ---
+  // A strategy that cannot key the request fails closed: it goes to the origin without touching the cache
+  const items = request.method === 'POST' ? await readTranslatorItems(request) : null;
+  // Batches too large to look up item by item are cached as a whole, except where the glossary has to be
+  // applied item by item (handleTranslatorBatch then looks up as many texts as the budget allows)
+  const perItem = items && !bypassCache && usesTranslatorKeys(env, route) &&
+    (route.translationMemory || new Set(items.map(item => item.text)).size * itemCacheLookupsPerText(env) <= maxItemLookups(env, route));
+  let baseKey;
+  try {
+    baseKey = await generateCacheKey(request, env, route, { includeBody: !perItem });
+  } catch (e) {
+    if (!bypassCache) {
+      console.error(`Cache key strategy failed, not caching: ${e}`);
+    }
+    baseKey = cacheKeyPrefix(request, route);
+    bypassCache = true;
+  }
+
+  // --- Translator array bodies are cached per item ---
+  if (perItem && !bypassCache) {
+    return handleTranslatorBatch(request, env, ctx, route, quota, items, baseKey);
+  }
+
+  // Responses the origin marks with Vary live under a variant key (see cacheOriginResponse)
+  let cacheKey = await knownVariantKey(baseKey, request);
+  // A Translator batch cached as a whole answers all of its characters from the cache
+  const servedFromCache = response => {
+    if (items) {
+      cachedCharacterStats.set(request, billedCharacters(request, items));
+    }
+    return response;
+  };
+
+  // --- Determine if method is cacheable ---
+  // CAREFUL: Only include 'POST' if you are ABSOLUTELY SURE it's safe for your use case.
+  const isCacheableMethod = (request.method === 'GET' || request.method === 'POST');
+  const cacheOptions = { isCacheableMethod, forceCache, bypassCache };
+  const staleWindows = resolveStaleWindows(request, env, route);
+
+  // --- 1. Try to get from L1 (Cache API), then R2 ---
+  let staleObject = null; // Expired entry kept as a fallback for origin errors
+  let validators = null; // Origin validators of an expired entry, sent so the origin can answer 304
+  if (!bypassCache && isCacheableMethod) {
+    const l1Response = staleWindows.useL1 ? await readL1(env, cacheKey) : null;
+    if (l1Response) {
+      l1Response.headers.set('X-Cache-Status', 'HIT-L1');
+      l1Response.headers.set('X-Cache-Key', cacheKey);
+      return servedFromCache(l1Response);
+    }
+    try {
+      let object = await env.API_CACHE_BUCKET.get(cacheKey);
+      if (object !== null && isVaryPointer(object)) {
+        // This isolate did not know the origin varies this resource: follow the pointer to our variant
+        const varyHeaders = object.customMetadata.vary.split(',');
+        rememberVary(baseKey, varyHeaders);
+        cacheKey = await variantCacheKey(baseKey, request, varyHeaders);
+        object = await env.API_CACHE_BUCKET.get(cacheKey);
+      }
+      if (object !== null) {
+        const stale = secondsPastExpiration(object, staleWindows.minFresh);
+        if (stale > 0 && stale <= staleWindows.staleWhileRevalidate) {
+            // Serve the expired entry and refresh (or revalidate) it in the background
+            const refreshRequest = request.clone();
+            const refreshValidators = request.method === 'GET' ? originValidators(object) : null;
+            ctx.waitUntil(
+              coalesce(cacheKey, () => fetchOriginCoalesced(refreshRequest, env, ctx, route, cacheKey, cacheOptions, refreshValidators), shareSnapshot)
+                .then(discardSnapshot)
+                .catch(e => console.error(`Background refresh failed for ${cacheKey}: ${e}`))
+            );
+            return servedFromCache(buildCachedResponse(object, cacheKey, 'STALE'));
+        } else if (stale > 0) {
+            //console.log(`Cache expired: ${cacheKey}`);
+            // POST bodies cannot be replayed after a 304 that finds the entry gone, so only GETs revalidate
+            validators = request.method === 'GET' ? originValidators(object) : null;
+            // An entry min-fresh refreshes early has not expired yet, so it is still a valid fallback
+            if (stale <= staleWindows.staleIfError || secondsPastExpiration(object) === 0) {
+              staleObject = object;
+            } else if (!validators) {
+              ctx.waitUntil(env.API_CACHE_BUCKET.delete(cacheKey));
+            }
+        } else {
+            console.log(`Cache HIT: ${cacheKey}`);
+            const response = buildCachedResponse(object, cacheKey, 'HIT-L2');
+            writeL1(env, ctx, cacheKey, response.clone(), object.customMetadata?.expiration);
+            touchCacheEntry(env, ctx, cacheKey, object);
+            return servedFromCache(response);
+        }
+      } else {
+        //console.log(`Cache MISS: ${cacheKey}`);
+      }
+    } catch (e) {
+      console.error(`Error reading from R2: ${e}`);
+    }
+  } else {
+    console.log(`Skipping cache lookup for method ${request.method} or bypass requested.`);
+  }
+
+  // --- 2. Cache Miss or Non-Cacheable Method: Forward to Origin ---
+  // Translator bodies that reach the origin count against the character quota, whatever the key strategy
+  const characters = billedCharacters(request, items);
+  const quotaExceeded = quota && await quota.checkCharacters(characters);
+  if (quotaExceeded) {
+    return quotaExceeded;
+  }
+
+  // Cacheable misses are coalesced: concurrent requests for the same key share one origin call,
+  // charged to the caller that made it
+  if (isCacheableMethod && !bypassCache) {
+    // Waiters that got the entry from R2 and 304 revalidations did not cost the origin any characters
+    const chargeOriginFetch = snapshot => {
+        if (quota && snapshot.cacheStatus === 'MISS' && snapshot.status >= 200 && snapshot.status < 300) {
+            quota.chargeCharacters(ctx, characters);
+        }
+        return snapshot;
+    };
+    let snapshot;
+    try {
+        snapshot = await coalesce(cacheKey, () => fetchOriginCoalesced(request, env, ctx, route, cacheKey, cacheOptions, validators).then(chargeOriginFetch), shareSnapshot);
+        // Another request's response that turned out to Vary only fits this one if the varied headers match
+        const varyHeaders = parseVary(new Headers(snapshot.headers).get('Vary'));
+        if (snapshot.request && snapshot.request !== request && varyHeaders.length > 0 &&
+            (varyHeaders.includes('*') || await variantCacheKey(baseKey, snapshot.request, varyHeaders) !== await variantCacheKey(baseKey, request, varyHeaders))) {
+            cacheKey = await variantCacheKey(baseKey, request, varyHeaders.includes('*') ? [] : varyHeaders);
+            discardSnapshot(snapshot);
+            snapshot = chargeOriginFetch(await fetchOriginCoalesced(request, env, ctx, route, cacheKey, cacheOptions));
+        }
+    } catch (e) {
+        console.error(`Error fetching from origin: ${e}`);
+        if (staleObject) {
+            return servedFromCache(buildCachedResponse(staleObject, cacheKey, 'STALE'));
+        }
+        return originErrorResponse(e);
+    }
+    if (snapshot.status >= 500 && staleObject) {
+        console.error(`Origin returned ${snapshot.status}, serving stale: ${cacheKey}`);
+        discardSnapshot(snapshot);
+        return servedFromCache(buildCachedResponse(staleObject, cacheKey, 'STALE'));
+    }
+    // Waiters that found the entry in R2 did not send anything to the origin either
+    const response = responseFromSnapshot(snapshot, cacheKey);
+    return snapshot.cacheStatus === 'MISS' ? response : servedFromCache(response);
+  }
+
+  // IMPORTANT: Use the ORIGINAL request object here, as its body stream hasn't been consumed yet.
+  // If you modified headers or other properties, ensure you use a clone THAT HASN'T had its body read.
+  const originRequest = buildOriginRequest(request, env, route);
+
+  let originResponse;
+  try {
+      originResponse = await fetchFromOrigin(request, env, route, originRequest);
+  } catch (e) {
+      console.error(`Error fetching from origin: ${e}`);
+      return originErrorResponse(e);
+  }
+  if (quota && originResponse.ok) {
+      quota.chargeCharacters(ctx, characters);
+  }
+
+  // --- 3. Try to Cache the Origin Response ---
+  await cacheOriginResponse(request, env, ctx, route, cacheKey, originResponse, cacheOptions);
+
+  // --- 4. Return the Response (from Origin) ---
+  const finalResponseHeaders = new Headers(originResponse.headers);
+  finalResponseHeaders.set('X-Cache-Status', 'BYPASS'); // Bypassed or non-cacheable: the cache was never consulted
+  finalResponseHeaders.set('X-Cache-Key', cacheKey); // Good for debugging
+
+  return new Response(originResponse.body, {
+      status: originResponse.status,
+      statusText: originResponse.statusText,
+      headers: finalResponseHeaders,
+  });
+}
+
+/**
+ * 代理请求: 验证调用方, 限流, 匹配路由, 再交给缓存逻辑
+ * @param {Request} request - The incoming request.
+ * @param {object} env - Worker env.
+ * @param {object} ctx - Execution context.
+ * @param {Array<object>} routes - Routes from loadRoutes.
+ * @param {object|null} logRecord - The structured log record to annotate, when logging is on.
+ * @returns {Promise<Response>} - The response for the client.
+ */
+async function handleProxyRequest(request, env, ctx, routes, logRecord) {
+  // --- Client Authentication ---
+  const { client, error: authError } = await authenticateClient(request, env);
+  if (authError) {
+    return authError;
+  }
+  if (logRecord) {
+    logRecord.client = client ? client.id : null;
+  }
+
+  // --- Rate Limiting ---
+  const quota = createClientQuota(env, client);
+  const rateLimited = quota && await quota.checkRequest();
+  if (rateLimited) {
+    return rateLimited;
+  }
+
+  // --- Routing ---
+  const route = matchRoute(routes, new URL(request.url).pathname);
+  if (!route) {
+    return new Response("No route for this path", { status: 404 });
+  }
+  if (logRecord) {
+    logRecord.route = route.prefix;
+  }
+
+  // --- Validation: malformed requests never reach the cache or the origin ---
+  const invalid = await validateRequest(request, route);
+  if (invalid) {
+    return quota ? quota.withHeaders(invalid) : invalid;
+  }
+
+  const response = answerConditionally(request, await handleCachedRequest(request, env, ctx, route, quota));
+  return quota ? quota.withHeaders(response) : response;
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    // --- Configuration Check ---
+    let routes;
+    try {
+      routes = await loadRoutes(env);
+    } catch (e) {
+      console.error(`Invalid route configuration: ${e}`);
+      return new Response("Invalid route configuration", { status: 500 });
+    }
+    if (!routes) {
+      return new Response("Origin API URL not configured", { status: 500 });
+    }
+    if (!env.API_CACHE_BUCKET) {
+      return new Response("R2 Bucket not bound", { status: 500 });
+    }
+
+    // --- Admin API ---
+    const url = new URL(request.url);
+    if (url.pathname === ADMIN_PATH_PREFIX || url.pathname.startsWith(`${ADMIN_PATH_PREFIX}/`)) {
+      return handleAdminRequest(request, env, ctx);
+    }
+    if (url.pathname === METRICS_PATH) {
+      return handleMetricsRequest(request, env);
+    }
+
+    // --- Structured Logging (opt-in) and Metrics ---
+    const startedAt = new Date().getTime();
+    const logRecord = isRequestLoggingEnabled(env) ? await logRequestDetails(request, env) : null;
+    const response = await handleProxyRequest(request, env, ctx, routes, logRecord);
+    const counted = countResponseBytes(response, responseBytes => {
+      recordRequestMetrics(request, response, env, ctx, responseBytes);
+      if (logRecord) {
+        finishRequestLog(request, response, env, ctx, logRecord, startedAt, responseBytes);
+      }
+    });
+    // Last step, so no later Response copy can drop encodeBody: sizes above are of the decoded body
+    return encodeForClient(request, counted);
+  },
+
+  // Cron triggers: delete expired entries (see runCacheSweep) and warm the cache from the manifest (see runWarmup),
+  // each on its own schedule (see scheduledJobs)
+  async scheduled(event, env, ctx) {
+    if (!env.API_CACHE_BUCKET) {
+      console.error('Scheduled run skipped: R2 Bucket not bound');
+      return;
+    }
+    const jobs = scheduledJobs(event.cron, env);
+    if (jobs.sweep) {
+      ctx.waitUntil(runCacheSweep(env).catch(e => console.error(`Cache sweep failed: ${e}`)));
+    }
+    if (jobs.warmup) {
+      ctx.waitUntil(runWarmup(env, ctx).catch(e => console.error(`Cache warm-up failed: ${e}`)));
+    }
   },
 };
@@ -0,0 +1,760 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, randomUUID } from 'node:crypto';
+
+import rawBodyWorker from '../cloudflare_cache.js';
+import worker, { MemoryCounterStore, MetricsAggregator, QuotaCounter } from '../cloudflare_cache2.js';
+import { MemoryBucket, MemoryCache, MockOrigin, durableObjectNamespace, executionContext } from './helpers.js';
+
+/**
+ * 每个测试使用独立的 bucket, 源站和 origin (熔断状态按 origin 记录)
+ * @param {function(Request): Response|Promise<Response>} handler - The mock origin.
+ * @param {object} [route] - Extra route options.
+ * @param {object} [env] - Extra env bindings.
+ * @param {object} [entry] - The worker entry point.
+ */
+function setup(handler, route = {}, env = {}, entry = worker) {
+  const origin = new MockOrigin(handler);
+  const bucket = new MemoryBucket();
+  const originUrl = `https://origin-${Math.random().toString(36).slice(2)}.test`;
+  const testEnv = {
+    ROUTES: JSON.stringify([{ prefix: '/api', origin: originUrl, ...route }]),
+    API_CACHE_BUCKET: bucket,
+    ORIGIN_FETCHER: origin,
+    ORIGIN_MAX_RETRIES: '0',
+    AUTH_DISABLED: 'true',
+    ...env,
+  };
+  const send = async (path, init = {}) => {
+    const ctx = executionContext();
+    const response = await entry.fetch(new Request(`https://worker.test${path}`, init), testEnv, ctx);
+    const body = await response.text();
+    await ctx.drain();
+    return { response, body, status: response.status, cacheStatus: response.headers.get('X-Cache-Status') };
+  };
+  return { origin, bucket, env: testEnv, send };
+}
+
+/**
+ * 在 CLIENTS_BUCKET 中登记一个客户端, 返回它的 API key
+ * @param {MemoryBucket} clients - The client registry.
+ * @param {object} record - Client record fields besides the id.
+ */
+async function registerClient(clients, record) {
+  const apiKey = randomUUID();
+  const keyHash = createHash('sha256').update(apiKey).digest('hex');
+  await clients.put(`key:${keyHash}`, JSON.stringify({ id: `client-${keyHash.slice(0, 8)}`, ...record }));
+  return apiKey;
+}
+
+const plainOrigin = request => new Response(`origin ${new URL(request.url).pathname}`, {
+  headers: { 'content-type': 'text/plain' },
+});
+
+const postJson = (body, headers = {}) => ({
+  method: 'POST',
+  body: JSON.stringify(body),
+  headers: { 'content-type': 'application/json', ...headers },
+});
+
+test('a miss is fetched from the origin and the repeat is served from R2', async () => {
+  const { origin, send } = setup(plainOrigin);
+  const miss = await send('/api/a');
+  assert.equal(miss.status, 200);
+  assert.equal(miss.cacheStatus, 'MISS');
+  assert.equal(miss.body, 'origin /api/a');
+
+  const hit = await send('/api/a');
+  assert.equal(hit.cacheStatus, 'HIT-L2');
+  assert.equal(hit.body, 'origin /api/a');
+  assert.equal(origin.requests.length, 1);
+});
+
+test('an expired entry goes back to the origin', async () => {
+  const { origin, bucket, send } = setup(plainOrigin);
+  const { response } = await send('/api/a');
+  bucket.objects.get(response.headers.get('X-Cache-Key')).customMetadata.expiration = String(Date.now() - 1000);
+
+  const refetched = await send('/api/a');
+  assert.equal(refetched.cacheStatus, 'MISS');
+  assert.equal(origin.requests.length, 2);
+});
+
+test('cf-cache-control: no-cache bypasses the cache', async () => {
+  const { origin, bucket, send } = setup(plainOrigin);
+  await send('/api/a');
+  const bypassed = await send('/api/a', { headers: { 'cf-cache-control': 'no-cache' } });
+  assert.equal(bypassed.cacheStatus, 'BYPASS');
+  assert.equal(origin.requests.length, 2);
+
+  await send('/api/b', { headers: { 'cf-cache-control': 'no-cache' } });
+  assert.equal([...bucket.objects.keys()].some(key => key.includes('/api/b')), false);
+});
+
+test('cf-cache-control: force-cache stores responses to methods that are not cached by default', async () => {
+  const { bucket, send } = setup(plainOrigin, { cacheKey: 'body-hash' });
+  await send('/api/put', { method: 'PUT', body: 'x' });
+  assert.equal(bucket.objects.size, 0);
+
+  await send('/api/put', { method: 'PUT', body: 'x', headers: { 'cf-cache-control': 'force-cache' } });
+  assert.equal(bucket.objects.size, 1);
+});
+
+test('cf-cache-control: max-age sets the entry lifetime', async () => {
+  const { bucket, send } = setup(plainOrigin);
+  const before = Date.now();
+  const { response } = await send('/api/a', { headers: { 'cf-cache-control': 'max-age=120' } });
+  const expiration = parseInt(bucket.objects.get(response.headers.get('X-Cache-Key')).customMetadata.expiration);
+  assert.ok(expiration >= before + 120000 && expiration <= Date.now() + 120000);
+});
+
+test('POST bodies are part of the cache key', async () => {
+  const { origin, send } = setup(async request => new Response(await request.text()), { cacheKey: 'body-hash' });
+  const first = await send('/api/echo', postJson({ q: 1 }));
+  assert.equal(first.cacheStatus, 'MISS');
+  assert.equal(first.body, '{"q":1}');
+
+  assert.equal((await send('/api/echo', postJson({ q: 1 }))).cacheStatus, 'HIT-L2');
+  const other = await send('/api/echo', postJson({ q: 2 }));
+  assert.equal(other.cacheStatus, 'MISS');
+  assert.equal(other.body, '{"q":2}');
+  assert.equal(origin.requests.length, 2);
+  assert.equal(await origin.requests[1].text(), '{"q":2}');
+});
+
+test('query parameters are sorted by name but repeated ones keep their order', async () => {
+  const { origin, send } = setup(request => new Response(new URL(request.url).search));
+  assert.equal((await send('/api/q?to=ja&from=en')).cacheStatus, 'MISS');
+  assert.equal((await send('/api/q?from=en&to=ja')).cacheStatus, 'HIT-L2');
+
+  assert.equal((await send('/api/q?to=ja&to=de')).cacheStatus, 'MISS');
+  const reordered = await send('/api/q?to=de&to=ja');
+  assert.equal(reordered.cacheStatus, 'MISS');
+  assert.equal(reordered.body, '?to=de&to=ja');
+  assert.equal(origin.requests.length, 3);
+});
+
+test('Translator items are cached one by one and only misses are sent to the origin', async () => {
+  const { origin, send } = setup(async request => {
+    const items = await request.json();
+    return Response.json(items.map(item => ({ translations: [{ text: `ja:${item.text}`, to: 'ja' }] })));
+  });
+  await send('/api/translate?api-version=3.0&to=ja', postJson([{ text: 'one' }, { text: 'two' }]));
+  const partial = await send('/api/translate?api-version=3.0&to=ja', postJson([{ text: 'two' }, { text: 'three' }]));
+  assert.equal(partial.cacheStatus, 'PARTIAL');
+  assert.deepEqual(JSON.parse(partial.body).map(result => result.translations[0].text), ['ja:two', 'ja:three']);
+  assert.deepEqual(await origin.requests[1].json(), [{ text: 'three' }]);
+
+  const otherLanguage = await send('/api/translate?api-version=3.0&to=de', postJson([{ text: 'one' }]));
+  assert.equal(otherLanguage.cacheStatus, 'MISS');
+});
+
+test('L2 hits are copied to L1, which answers until a purge retires it', async t => {
+  const cache = new MemoryCache();
+  globalThis.caches = { default: cache };
+  t.after(() => delete globalThis.caches);
+  const { origin, send } = setup(request => new Response(`origin ${new URL(request.url).pathname}`, {
+    headers: { 'cache-control': 'public, max-age=60' },
+  }), {}, { ADMIN_SECRET: 'secret' });
+
+  assert.equal((await send('/api/a')).cacheStatus, 'MISS');
+  assert.equal(cache.entries.size, 0);
+  assert.equal((await send('/api/a')).cacheStatus, 'HIT-L2');
+  const hit = await send('/api/a');
+  assert.equal(hit.cacheStatus, 'HIT-L1');
+  assert.equal(hit.body, 'origin /api/a');
+  assert.equal(hit.response.headers.get('cache-control'), 'public, max-age=60');
+  const [entry] = cache.entries.values();
+  assert.ok(entry.expiresAt <= Date.now() + 60000);
+
+  await send('/__cache/purge', { method: 'POST', body: '{"all":true}', headers: { authorization: 'Bearer secret' } });
+  assert.equal((await send('/api/a')).cacheStatus, 'MISS');
+  assert.equal(origin.requests.length, 2);
+
+  const translator = setup(async request => Response.json((await request.json()).map(item => ({
+    translations: [{ text: `ja:${item.text}`, to: 'ja' }],
+  }))));
+  const translateOnce = () => translator.send('/api/translate?api-version=3.0&to=ja', postJson([{ text: 'one' }]));
+  assert.deepEqual([(await translateOnce()).cacheStatus, (await translateOnce()).cacheStatus, (await translateOnce()).cacheStatus],
+    ['MISS', 'HIT-L2', 'HIT-L1']);
+
+  const off = setup(plainOrigin, {}, { L1_CACHE: 'off' });
+  for (let i = 0; i < 3; i++) {
+    assert.notEqual((await off.send('/api/a')).cacheStatus, 'HIT-L1');
+  }
+  assert.equal(cache.entries.size, 2);
+});
+
+test('responses that Vary are cached per variant and re-encoded for each client', async () => {
+  const { origin, bucket, env, send } = setup(request => new Response(`hello ${request.headers.get('accept-language')}`, {
+    headers: { 'content-type': 'text/plain', vary: 'Accept-Language, Accept-Encoding' },
+  }));
+  const inLanguage = (language, headers = {}) => ({ headers: { 'accept-language': language, ...headers } });
+
+  assert.equal((await send('/api/a', inLanguage('en'))).cacheStatus, 'MISS');
+  assert.equal((await send('/api/a', inLanguage('de'))).cacheStatus, 'MISS');
+  for (const language of ['en', 'de']) {
+    const hit = await send('/api/a', inLanguage(language));
+    assert.equal(hit.cacheStatus, 'HIT-L2');
+    assert.equal(hit.body, `hello ${language}`);
+    assert.ok(hit.response.headers.get('X-Cache-Key').includes(':vary='));
+  }
+  assert.equal(origin.requests.length, 2);
+  // One pointer on the base key plus one object per variant
+  assert.equal(bucket.objects.size, 3);
+
+  // Accept-Encoding is not part of the key: the cached variant is compressed per request
+  const ctx = executionContext();
+  const gzipped = await worker.fetch(new Request('https://worker.test/api/a', inLanguage('de', { 'accept-encoding': 'gzip' })), env, ctx);
+  await ctx.drain();
+  assert.equal(gzipped.headers.get('X-Cache-Status'), 'HIT-L2');
+  assert.equal(gzipped.headers.get('content-encoding'), 'gzip');
+  assert.match(gzipped.headers.get('vary'), /Accept-Encoding/);
+  assert.equal(await new Response(gzipped.body.pipeThrough(new DecompressionStream('gzip'))).text(), 'hello de');
+  const identity = await send('/api/a', inLanguage('de', { 'accept-encoding': 'identity' }));
+  assert.equal(identity.response.headers.get('content-encoding'), null);
+  assert.equal(identity.body, 'hello de');
+  assert.equal(origin.requests.length, 2);
+});
+
+test('conditional requests are answered from the cache and expired entries are revalidated', async () => {
+  const lastModified = new Date(Date.now() - 3600000).toUTCString();
+  let unchanged = false;
+  const { origin, bucket, send } = setup(request => {
+    if (new URL(request.url).pathname === '/api/plain') {
+      return plainOrigin(request);
+    }
+    if (unchanged && request.headers.get('if-none-match') === '"v1"') {
+      return new Response(null, { status: 304, headers: { etag: '"v1"', 'cache-control': 'max-age=600' } });
+    }
+    return new Response('version 1', { headers: { etag: '"v1"', 'last-modified': lastModified } });
+  });
+
+  // The client's validators are not forwarded, so the full response is cached even when the client gets a 304
+  const miss = await send('/api/etag', { headers: { 'if-none-match': '"v1"' } });
+  assert.equal(miss.status, 304);
+  assert.equal(miss.cacheStatus, 'MISS');
+  assert.equal(origin.requests[0].headers.get('if-none-match'), null);
+  const notModified = await send('/api/etag', { headers: { 'if-none-match': 'W/"v1"' } });
+  assert.equal(notModified.status, 304);
+  assert.equal(notModified.body, '');
+  assert.equal(notModified.response.headers.get('etag'), '"v1"');
+  assert.equal((await send('/api/etag', { headers: { 'if-modified-since': lastModified } })).status, 304);
+  assert.equal((await send('/api/etag', { headers: { 'if-none-match': '"v0"' } })).status, 200);
+
+  // Entries from an origin without validators get the R2 object's ETag
+  const plain = await send('/api/plain');
+  const etag = (await send('/api/plain')).response.headers.get('etag');
+  assert.ok(etag);
+  assert.equal((await send('/api/plain', { headers: { 'if-none-match': etag } })).status, 304);
+
+  unchanged = true;
+  bucket.objects.get(miss.response.headers.get('X-Cache-Key')).customMetadata.expiration = String(Date.now() - 1000);
+  const revalidated = await send('/api/etag');
+  assert.equal(revalidated.cacheStatus, 'REVALIDATED');
+  assert.equal(revalidated.body, 'version 1');
+  assert.equal(origin.requests.at(-1).headers.get('if-none-match'), '"v1"');
+  assert.equal((await send('/api/etag')).cacheStatus, 'HIT-L2');
+  assert.equal(origin.requests.length, 3);
+  assert.equal(plain.status, 200);
+});
+
+test('an origin failure returns 502', async () => {
+  const { send } = setup(() => {
+    throw new TypeError('connection refused');
+  });
+  const failed = await send('/api/a');
+  assert.equal(failed.status, 502);
+  assert.match(failed.body, /connection refused/);
+});
+
+test('non-2xx responses are passed through but not cached', async () => {
+  const { origin, bucket, send } = setup(() => new Response('missing', { status: 404 }));
+  assert.equal((await send('/api/a')).status, 404);
+  assert.equal((await send('/api/a')).status, 404);
+  assert.equal(origin.requests.length, 2);
+  assert.equal(bucket.objects.size, 0);
+});
+
+test('origin bodies failing responseSchema are returned unchanged but not cached', async t => {
+  t.mock.method(console, 'error', () => {});
+  const bodies = { '/api/bad': '{"status":1}', '/api/broken': '{"status":', '/api/good': '{"status":"ok"}' };
+  const { origin, bucket, send } = setup(request => new Response(bodies[new URL(request.url).pathname], {
+    headers: { 'content-type': 'application/json' },
+  }), {
+    validation: { responseSchema: { type: 'object', required: ['status'], properties: { status: { type: 'string' } } } },
+  });
+
+  for (const path of ['/api/bad', '/api/broken']) {
+    const response = await send(path);
+    assert.equal(response.status, 200);
+    assert.equal(response.body, bodies[path]);
+    assert.equal((await send(path)).cacheStatus, 'MISS');
+  }
+  assert.equal(bucket.objects.size, 0);
+  assert.equal(origin.requests.length, 4);
+
+  await send('/api/good');
+  const hit = await send('/api/good');
+  assert.equal(hit.cacheStatus, 'HIT-L2');
+  assert.equal(hit.body, bodies['/api/good']);
+});
+
+test('responses over maxCacheableBytes are streamed to the client but not written to R2', async () => {
+  const large = 'x'.repeat(1000);
+  const { bucket, send } = setup(request => {
+    const path = new URL(request.url).pathname;
+    if (path === '/api/declared') {
+      return new Response(large, { headers: { 'content-length': String(large.length) } });
+    }
+    // No content-length: the size is only known once the body has been read
+    const bytes = new TextEncoder().encode(path === '/api/small' ? 'small' : large);
+    return new Response(new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes.slice(0, 3));
+        controller.enqueue(bytes.slice(3));
+        controller.close();
+      },
+    }));
+  }, { maxCacheableBytes: 100 });
+
+  for (const path of ['/api/declared', '/api/chunked']) {
+    const response = await send(path);
+    assert.equal(response.status, 200);
+    assert.equal(response.body, large);
+    assert.equal((await send(path)).cacheStatus, 'MISS');
+  }
+  assert.equal(bucket.objects.size, 0);
+  await send('/api/small');
+  assert.equal((await send('/api/small')).cacheStatus, 'HIT-L2');
+});
+
+test('server-sent event streams are passed through and never cached', async () => {
+  const { origin, bucket, send } = setup(() => new Response('data: one\n\ndata: two\n\n', {
+    headers: { 'content-type': 'text/event-stream; charset=utf-8' },
+  }), { cache: 'force' });
+  const first = await send('/api/events');
+  assert.equal(first.body, 'data: one\n\ndata: two\n\n');
+  assert.equal((await send('/api/events')).cacheStatus, 'MISS');
+  assert.equal(origin.requests.length, 2);
+  assert.equal(bucket.objects.size, 0);
+});
+
+test('statusTtls caches listed error statuses for at most their configured TTL', async () => {
+  const { origin, bucket, send } = setup(request => new Response('missing', {
+    status: new URL(request.url).pathname === '/api/gone' ? 410 : 404,
+    headers: { 'cache-control': 'max-age=3600' },
+  }), { statusTtls: { 404: 60 } });
+  const before = Date.now();
+  const miss = await send('/api/missing');
+  assert.equal(miss.status, 404);
+  const expiration = parseInt(bucket.objects.get(miss.response.headers.get('X-Cache-Key')).customMetadata.expiration);
+  assert.ok(expiration >= before + 60000 && expiration <= Date.now() + 60000);
+  const hit = await send('/api/missing');
+  assert.equal(hit.status, 404);
+  assert.equal(hit.cacheStatus, 'HIT-L2');
+
+  assert.equal((await send('/api/gone')).status, 410);
+  assert.equal((await send('/api/gone')).cacheStatus, 'MISS');
+  assert.equal(origin.requests.length, 3);
+});
+
+test('TTLs are clamped to minTtlSeconds and maxTtlSeconds', async () => {
+  const { bucket, send } = setup(request => new Response('ok', {
+    headers: { 'cache-control': `max-age=${new URL(request.url).searchParams.get('max-age')}` },
+  }), { minTtlSeconds: 300, maxTtlSeconds: 600 });
+  const ttl = async maxAge => {
+    const before = Date.now();
+    const { response } = await send(`/api/a?max-age=${maxAge}`);
+    const expiration = parseInt(bucket.objects.get(response.headers.get('X-Cache-Key')).customMetadata.expiration);
+    return Math.round((expiration - before) / 1000);
+  };
+  assert.equal(await ttl(10), 300);
+  assert.equal(await ttl(450), 450);
+  assert.equal(await ttl(86400), 600);
+});
+
+test('invalid TTL policies are rejected in routes and ignored in env.CACHE_STATUS_TTLS', async () => {
+  for (const policy of [{ statusTtls: { 429: 10 } }, { statusTtls: { 404: -1 } }, { statusTtls: { 500: 10 } },
+    { statusTtls: [] }, { minTtlSeconds: 1.5 }, { minTtlSeconds: 600, maxTtlSeconds: 60 }]) {
+    const rejected = await setup(plainOrigin, policy).send('/api/a');
+    assert.equal(rejected.status, 500, JSON.stringify(policy));
+    assert.equal(rejected.body, 'Invalid route configuration');
+  }
+
+  const { bucket, send } = setup(() => new Response('missing', { status: 404 }), {}, { CACHE_STATUS_TTLS: '{"404": "soon"}' });
+  assert.equal((await send('/api/a')).status, 404);
+  assert.equal(bucket.objects.size, 0);
+});
+
+test('the raw-body entry point charges Translator characters for origin misses only', async () => {
+  const clients = new MemoryBucket();
+  const counters = new MemoryCounterStore();
+  const { origin, send } = setup(async request => new Response(await request.text()), {},
+    { CLIENTS_BUCKET: clients, QUOTA_COUNTERS: counters, AUTH_DISABLED: undefined }, rawBodyWorker);
+  const apiKey = await registerClient(clients, { dailyCharacterQuota: 40 });
+  const text = 'The quick brown fox jumps over it.';
+
+  const miss = await send('/api/translate?to=ja', postJson([{ text }], { 'x-api-key': apiKey }));
+  assert.equal(miss.cacheStatus, 'MISS');
+  assert.equal(miss.response.headers.get('X-RateLimit-Remaining-Characters'), String(40 - text.length));
+  assert.equal((await send('/api/translate?to=ja', postJson([{ text }], { 'x-api-key': apiKey }))).cacheStatus, 'HIT-L2');
+
+  const overQuota = await send('/api/translate?to=de', postJson([{ text }], { 'x-api-key': apiKey }));
+  assert.equal(overQuota.status, 429);
+  assert.equal(origin.requests.length, 1);
+  const dailyCharacters = [...counters.counters].find(([key]) => key.startsWith('chars:') && key.includes(':day:'));
+  assert.equal(dailyCharacters[1].value, text.length);
+});
+
+test('Translator characters are charged once per target language', async () => {
+  const clients = new MemoryBucket();
+  const counters = new MemoryCounterStore();
+  const { send } = setup(async request => new Response(await request.text()), {},
+    { CLIENTS_BUCKET: clients, QUOTA_COUNTERS: counters, AUTH_DISABLED: undefined }, rawBodyWorker);
+  const apiKey = await registerClient(clients, { dailyCharacterQuota: 100 });
+  const text = 'The quick brown fox jumps over it.';
+
+  const miss = await send('/api/translate?to=ja&to=de', postJson([{ text }], { 'x-api-key': apiKey }));
+  assert.equal(miss.response.headers.get('X-RateLimit-Remaining-Characters'), String(100 - 2 * text.length));
+  const dailyCharacters = [...counters.counters].find(([key]) => key.startsWith('chars:') && key.includes(':day:'));
+  assert.equal(dailyCharacters[1].value, 2 * text.length);
+  assert.equal((await send('/api/translate?to=ja,de,fr', postJson([{ text }], { 'x-api-key': apiKey }))).status, 429);
+});
+
+test('QuotaCounter Durable Objects count requests atomically per key', async () => {
+  const clients = new MemoryBucket();
+  const counters = durableObjectNamespace(QuotaCounter);
+  const { send } = setup(plainOrigin, {}, { CLIENTS_BUCKET: clients, QUOTA_COUNTERS: counters, AUTH_DISABLED: undefined });
+  const apiKey = await registerClient(clients, { rateLimitPerMinute: 2 });
+
+  const results = await Promise.all([1, 2, 3].map(() => send('/api/a', { headers: { 'x-api-key': apiKey } })));
+  assert.deepEqual(results.map(result => result.status).sort(), [200, 200, 429]);
+  assert.equal(counters.instances.size, 1);
+});
+
+test('counter storage errors fail open instead of failing the request', async () => {
+  const clients = new MemoryBucket();
+  const failing = async () => { throw new Error('KV PUT failed: 429 Too Many Requests'); };
+  const { origin, send } = setup(async request => new Response(await request.text()), {},
+    { CLIENTS_BUCKET: clients, QUOTA_COUNTERS: { get: failing, increment: failing }, AUTH_DISABLED: undefined }, rawBodyWorker);
+  const apiKey = await registerClient(clients, { rateLimitPerMinute: 1, dailyCharacterQuota: 10 });
+
+  for (const text of ['first', 'second']) {
+    const response = await send('/api/translate?to=ja', postJson([{ text }], { 'x-api-key': apiKey }));
+    assert.equal(response.status, 200);
+    assert.equal(response.body, JSON.stringify([{ text }]));
+  }
+  assert.equal(origin.requests.length, 2);
+});
+
+test('client registry lookups are cached up to a cap, least recently used first out', async () => {
+  const clients = new MemoryBucket();
+  const { send } = setup(plainOrigin, {}, { CLIENTS_BUCKET: clients, AUTH_DISABLED: undefined });
+  const apiKey = await registerClient(clients, {});
+  assert.equal((await send('/api/a', { headers: { 'x-api-key': apiKey } })).status, 200);
+
+  // Revoked keys keep working while cached, until a flood of unknown keys pushes them out
+  clients.objects.clear();
+  assert.equal((await send('/api/a', { headers: { 'x-api-key': apiKey } })).status, 200);
+  for (let i = 0; i < 1000; i++) {
+    await send('/api/a', { headers: { 'x-api-key': `unknown-${i}` } });
+  }
+  assert.equal((await send('/api/a', { headers: { 'x-api-key': apiKey } })).status, 401);
+});
+
+test('without a client registry every request is refused unless AUTH_DISABLED is set', async () => {
+  const { origin, send } = setup(plainOrigin, {}, { AUTH_DISABLED: undefined });
+  const refused = await send('/api/a');
+  assert.equal(refused.status, 500);
+  assert.equal(refused.body, 'Client registry not configured');
+  assert.equal(origin.requests.length, 0);
+});
+
+test('Translator validation rejects missing bodies, oversized batches and bad JSON before the origin', async () => {
+  const { origin, send } = setup(plainOrigin, {
+    validation: { translator: { maxItems: 2 }, contentTypes: ['application/json'] },
+  });
+  const missing = await send('/api/translate?to=ja', { method: 'POST' });
+  assert.equal(missing.status, 400);
+  assert.equal(JSON.parse(missing.body).code, 'invalid_body');
+
+  const tooMany = await send('/api/translate?to=ja', postJson([{ text: 'a' }, { text: 'b' }, { text: 'c' }]));
+  assert.equal(tooMany.status, 413);
+  assert.equal(JSON.parse(tooMany.body).code, 'too_many_items');
+
+  const malformed = await send('/api/translate?to=ja', { method: 'POST', body: '[{"text":', headers: { 'content-type': 'application/json' } });
+  assert.equal(malformed.status, 400);
+  assert.equal(JSON.parse(malformed.body).code, 'invalid_json');
+  assert.equal(origin.requests.length, 0);
+});
+
+test('concurrent requests serving the same stale Translator item share one refresh', async () => {
+  const { origin, bucket, send } = setup(async request => {
+    const items = await request.json();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return Response.json(items.map(item => ({ translations: [{ text: `ja:${item.text}`, to: 'ja' }] })));
+  }, {}, { STALE_WHILE_REVALIDATE_SECONDS: '600' });
+  await send('/api/translate?to=ja', postJson([{ text: 'hot' }]));
+  for (const object of bucket.objects.values()) {
+    object.customMetadata.expiration = String(Date.now() - 1000);
+  }
+
+  const stale = await Promise.all([1, 2, 3].map(() => send('/api/translate?to=ja', postJson([{ text: 'hot' }]))));
+  assert.deepEqual(stale.map(result => result.cacheStatus), ['STALE', 'STALE', 'STALE']);
+  assert.equal(origin.requests.length, 2);
+});
+
+test('Translator batches stay within the storage lookup budget', async () => {
+  const translate = async request => {
+    const languages = new URL(request.url).searchParams.getAll('to');
+    const items = await request.json();
+    return Response.json(items.map(item => ({ translations: languages.map(to => ({ text: `${to}:${item.text}`, to })) })));
+  };
+  const texts = count => Array.from({ length: count }, (_, i) => ({ text: `string ${i}` }));
+
+  const memoryRoute = setup(translate, { translationMemory: true, maxItemLookups: 10 }, { ADMIN_SECRET: 'secret' });
+  await memoryRoute.send('/__cache/tm?format=csv', {
+    method: 'POST',
+    body: 'from,to,source,target\nen,ja,string 0,tm-ja\nen,de,string 0,tm-de\n',
+    headers: { authorization: 'Bearer secret' },
+  });
+  const reads = [];
+  const get = memoryRoute.bucket.get.bind(memoryRoute.bucket);
+  memoryRoute.bucket.get = key => {
+    reads.push(key);
+    return get(key);
+  };
+  // 2 cache and 2 translation memory calls per text: the first 2 of 3 texts are looked up, the last is sent uncached
+  const chunked = await memoryRoute.send('/api/translate?from=en&to=ja&to=de', postJson(texts(3)));
+  assert.equal(chunked.cacheStatus, 'PARTIAL');
+  assert.equal(chunked.response.headers.get('X-Translation-Memory-Items'), '1/3');
+  assert.deepEqual(JSON.parse(chunked.body).map(result => result.translations[0].text), ['tm-ja', 'ja:string 1', 'ja:string 2']);
+  assert.deepEqual(await memoryRoute.origin.requests[0].json(), texts(3).slice(1));
+  assert.equal(reads.filter(key => key.startsWith('__meta/tm/entries/')).length, 4);
+  assert.equal(reads.filter(key => !key.startsWith('__meta/')).length, 1);
+
+  reads.length = 0;
+  const repeated = await memoryRoute.send('/api/translate?from=en&to=ja&to=de', postJson(texts(3)));
+  assert.equal(repeated.response.headers.get('X-Cache-Items'), '2/3');
+  assert.deepEqual(await memoryRoute.origin.requests[1].json(), texts(3).slice(2));
+  assert.equal(reads.filter(key => !key.startsWith('__meta/')).length, 1);
+
+  const plainRoute = setup(translate, { maxItemLookups: 10 });
+  await plainRoute.send('/api/translate?to=ja', postJson(texts(6)));
+  const wholeBatch = await plainRoute.send('/api/translate?to=ja', postJson(texts(6)));
+  assert.equal(wholeBatch.cacheStatus, 'HIT-L2');
+  assert.equal(plainRoute.bucket.objects.size, 1);
+});
+
+test('admin routes inspect, list and purge cache entries', async () => {
+  const { origin, bucket, send } = setup(plainOrigin, {}, { ADMIN_SECRET: 'secret' });
+  const admin = async (path, init = {}) => {
+    const { status, body } = await send(path, { ...init, headers: { authorization: 'Bearer secret', ...init.headers } });
+    return { status, json: JSON.parse(body) };
+  };
+  const keyOf = async path => (await send(path)).response.headers.get('X-Cache-Key');
+  const [userOne, userTwo, post] = [await keyOf('/api/users/1'), await keyOf('/api/users/2'), await keyOf('/api/posts/1')];
+  await bucket.put('__meta/gc/state.json', '{}');
+
+  assert.equal((await send('/__cache/stats')).status, 401);
+  const stats = await admin('/__cache/stats');
+  assert.equal(stats.json.objects, 4);
+  assert.equal(stats.json.expired, 0);
+
+  const entry = await admin(`/__cache/entry?key=${encodeURIComponent(userOne)}&body=1`);
+  assert.equal(entry.json.key, userOne);
+  assert.equal(entry.json.status, 200);
+  assert.equal(entry.json.headers['content-type'], 'text/plain');
+  assert.equal(entry.json.body, 'origin /api/users/1');
+  assert.equal((await admin('/__cache/entry?key=missing')).status, 404);
+  assert.equal((await admin('/__cache/entry')).status, 400);
+
+  const users = await admin(`/__cache/keys?prefix=${encodeURIComponent('v2:/api:GET:/api/users/')}&limit=1`);
+  assert.deepEqual(users.json.keys.map(described => described.key), [userOne]);
+  const more = await admin(`/__cache/keys?prefix=${encodeURIComponent('v2:/api:GET:/api/users/')}&cursor=${encodeURIComponent(users.json.cursor)}`);
+  assert.deepEqual(more.json.keys.map(described => described.key), [userTwo]);
+  assert.equal(more.json.cursor, null);
+
+  assert.deepEqual((await admin(`/__cache/entry?key=${encodeURIComponent(post)}`, { method: 'DELETE' })).json, { deleted: [post] });
+  assert.equal((await send('/api/posts/1')).cacheStatus, 'MISS');
+
+  const purge = body => admin('/__cache/purge', { method: 'POST', body: JSON.stringify(body) });
+  assert.equal((await purge({})).status, 400);
+  assert.deepEqual((await purge({ prefix: 'v2:/api:GET:/api/users/' })).json, { deleted: 2, cursor: null });
+  assert.equal(bucket.objects.has(userOne) || bucket.objects.has(userTwo), false);
+  assert.equal((await purge({ key: post })).json.deleted, 1);
+
+  await send('/api/users/1');
+  assert.deepEqual((await purge({ all: true })).json, { deleted: 1, cursor: null });
+  assert.ok([...bucket.objects.keys()].every(key => key.startsWith('__meta/')));
+  assert.ok(bucket.objects.has('__meta/gc/state.json'));
+  assert.equal(origin.requests.length, 5);
+});
+
+test('translation memory imports and exports are paged with a cursor and storage errors are 5xx', async () => {
+  const { bucket, send } = setup(plainOrigin, {}, { ADMIN_SECRET: 'secret' });
+  const admin = (path, init = {}) => send(path, { ...init, headers: { authorization: 'Bearer secret', ...init.headers } });
+  const csv = ['from,to,source,target', ...Array.from({ length: 600 }, (_, i) => `en,ja,source ${i},target ${i}`), 'en,ja,,missing'].join('\n');
+  const importCsv = query => admin(`/__cache/tm?format=csv${query}`, { method: 'POST', body: csv });
+
+  const first = JSON.parse((await importCsv('')).body);
+  assert.deepEqual(first, { imported: 500, cursor: '500', skipped: 1 });
+  const second = JSON.parse((await importCsv(`&cursor=${first.cursor}`)).body);
+  assert.deepEqual(second, { imported: 100, cursor: null, skipped: 1 });
+
+  const page = await admin('/__cache/tm?format=csv&from=en');
+  assert.equal(page.body.trim().split('\r\n').length, 501);
+  const rest = await admin(`/__cache/tm?format=csv&from=en&cursor=${page.response.headers.get('X-TM-Cursor')}`);
+  assert.equal(rest.body.trim().split('\r\n').length, 101);
+  assert.equal(rest.response.headers.get('X-TM-Cursor'), null);
+
+  assert.equal((await admin('/__cache/tm?format=csv', { method: 'POST', body: 'a,b\n1,2' })).status, 400);
+  bucket.put = async () => { throw new Error('R2 unavailable'); };
+  const failed = await importCsv('');
+  assert.equal(failed.status, 500);
+  assert.match(JSON.parse(failed.body).error, /R2 unavailable/);
+});
+
+test('a partial log batch is shipped by the request that started it once it is old enough', async t => {
+  const shipped = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    shipped.push(init.body);
+    return new Response(null, { status: 204 });
+  });
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { env } = setup(plainOrigin, {}, { LOG_SINK_URL: 'https://logs.test/ingest' });
+  const ctx = executionContext();
+  await (await worker.fetch(new Request('https://worker.test/api/a'), env, ctx)).text();
+  assert.equal(shipped.length, 0);
+
+  t.mock.timers.tick(10000);
+  await ctx.drain();
+  assert.equal(shipped.length, 1);
+  assert.equal(JSON.parse(shipped[0]).path, '/api/a');
+});
+
+test('batched metrics are sent without waiting for a later request and count whole-body hits', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const metrics = durableObjectNamespace(MetricsAggregator);
+  const { env } = setup(async request => new Response(await request.text()), {}, { CACHE_METRICS: metrics }, rawBodyWorker);
+  const text = 'The quick brown fox jumps over it.';
+  for (let i = 0; i < 2; i++) {
+    const ctx = executionContext();
+    const request = new Request('https://worker.test/api/translate?to=ja&to=de', postJson([{ text }]));
+    await (await rawBodyWorker.fetch(request, env, ctx)).text();
+    t.mock.timers.tick(10000);
+    await ctx.drain();
+  }
+
+  const snapshot = await (await metrics.get('global').fetch('https://cache-metrics/snapshot')).json();
+  assert.deepEqual(snapshot.requests, { MISS: 1, 'HIT-L2': 1 });
+  assert.equal(snapshot.charactersServedFromCache, 2 * text.length);
+});
+
+test('cron triggers run the sweep and the warm-up on their own schedules', async () => {
+  const { origin, bucket, env } = setup(plainOrigin, {}, { GC_CRON: '0 * * * *', WARMUP_CRON: '30 3 * * *' });
+  await bucket.put('__meta/warmup/manifest.json', JSON.stringify(['/api/a']));
+  const runScheduled = async cron => {
+    const ctx = executionContext();
+    await worker.scheduled({ cron, scheduledTime: Date.now() }, env, ctx);
+    await ctx.drain();
+  };
+
+  await runScheduled('0 * * * *');
+  assert.ok(bucket.objects.has('__meta/gc/state.json'));
+  assert.equal(bucket.objects.has('__meta/warmup/status.json'), false);
+  assert.equal(origin.requests.length, 0);
+
+  bucket.objects.delete('__meta/gc/state.json');
+  await runScheduled('30 3 * * *');
+  assert.ok(bucket.objects.has('__meta/warmup/status.json'));
+  assert.equal(bucket.objects.has('__meta/gc/state.json'), false);
+  assert.equal(origin.requests.length, 1);
+});
+
+test('the sweep deletes entries expired past the grace period and evicts the least recently used over CACHE_MAX_BYTES', async () => {
+  const { bucket, env, send } = setup(plainOrigin, {}, { GC_CRON: '0 * * * *', GC_GRACE_SECONDS: '60' });
+  const sweep = async () => {
+    const ctx = executionContext();
+    await worker.scheduled({ cron: '0 * * * *', scheduledTime: Date.now() }, env, ctx);
+    await ctx.drain();
+    return JSON.parse(new TextDecoder().decode(bucket.objects.get('__meta/gc/state.json').bytes));
+  };
+  const keys = {};
+  for (const path of ['/api/fresh', '/api/recent', '/api/old']) {
+    keys[path] = (await send(path)).response.headers.get('X-Cache-Key');
+  }
+  bucket.objects.get(keys['/api/recent']).customMetadata.expiration = String(Date.now() - 30000);
+  bucket.objects.get(keys['/api/old']).customMetadata.expiration = String(Date.now() - 7200000);
+
+  const expiredPass = (await sweep()).lastPass;
+  assert.deepEqual([expiredPass.objects, expiredPass.expired, expiredPass.evicted], [2, 1, 0]);
+  assert.ok(bucket.objects.has(keys['/api/recent']));
+  assert.equal(bucket.objects.has(keys['/api/old']), false);
+
+  // Three entries of 13 bytes, written a day apart; a hit on the oldest records it as the most recently used
+  bucket.objects.clear();
+  env.CACHE_MAX_BYTES = '30';
+  const paths = ['/api/1', '/api/2', '/api/3'];
+  for (const [i, path] of paths.entries()) {
+    keys[path] = (await send(path)).response.headers.get('X-Cache-Key');
+    bucket.objects.get(keys[path]).customMetadata.stored = String(Date.now() - (3 - i) * 86400000);
+  }
+  assert.equal((await send('/api/1')).cacheStatus, 'HIT-L2');
+  assert.ok(parseInt(bucket.objects.get(keys['/api/1']).customMetadata.accessed) > Date.now() - 60000);
+
+  const evictedPass = (await sweep()).lastPass;
+  assert.deepEqual([evictedPass.bytes, evictedPass.evicted, evictedPass.bytesAfter], [39, 1, 26]);
+  assert.deepEqual(paths.filter(path => bucket.objects.has(keys[path])), ['/api/1', '/api/3']);
+});
+
+test('while the circuit is open any expired entry is served instead of an error', async () => {
+  let down = false;
+  const { bucket, send } = setup(request => {
+    if (down) {
+      throw new TypeError('connection refused');
+    }
+    return plainOrigin(request);
+  }, {}, { CIRCUIT_BREAKER_THRESHOLD: '1' });
+  const { response } = await send('/api/a');
+  bucket.objects.get(response.headers.get('X-Cache-Key')).customMetadata.expiration = String(Date.now() - 86400000);
+
+  down = true;
+  assert.equal((await send('/api/other')).status, 502);
+  const stale = await send('/api/a');
+  assert.equal(stale.cacheStatus, 'STALE');
+  assert.equal(stale.body, 'origin /api/a');
+});
+
+test('origin 429s do not open the circuit but their Retry-After holds further calls back', async () => {
+  let retryAfter = null;
+  const { origin, send } = setup(request => {
+    if (new URL(request.url).pathname === '/api/ok') {
+      return plainOrigin(request);
+    }
+    return new Response('Too many requests', { status: 429, headers: retryAfter ? { 'Retry-After': retryAfter } : {} });
+  }, {}, { CIRCUIT_BREAKER_THRESHOLD: '2' });
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await send(`/api/throttled?${i}`)).status, 429);
+  }
+  assert.equal((await send('/api/ok')).status, 200);
+
+  retryAfter = '30';
+  assert.equal((await send('/api/throttled')).status, 429);
+  const held = await send('/api/ok?again');
+  assert.equal(held.status, 503);
+  assert.equal(held.response.headers.get('Retry-After'), '30');
+  assert.equal(origin.requests.length, 5);
+});
+
+test('without configured schedules every cron trigger runs both jobs', async () => {
+  const { bucket, env } = setup(plainOrigin);
+  await bucket.put('__meta/warmup/manifest.json', JSON.stringify(['/api/a']));
+  const ctx = executionContext();
+  await worker.scheduled({ scheduledTime: Date.now() }, env, ctx);
+  await ctx.drain();
+  assert.ok(bucket.objects.has('__meta/gc/state.json'));
+  assert.ok(bucket.objects.has('__meta/warmup/status.json'));
+});
+
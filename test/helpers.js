@@ -0,0 +1,181 @@
+// --- Local stand-ins for R2, the origin and the execution context ---
+import { createHash } from 'node:crypto';
+
+/**
+ * 进程内的 R2 bucket, 实现 worker 用到的 get/head/put/delete/list 以及 httpMetadata/customMetadata;
+ * 绑定为 env.API_CACHE_BUCKET. etag 是 body 的 SHA-256 前缀, 不是 R2 使用的 MD5
+ */
+export class MemoryBucket {
+  constructor() {
+    this.objects = new Map(); // key -> { bytes, etag, uploaded, httpMetadata, customMetadata }
+  }
+
+  describe(key) {
+    const stored = this.objects.get(key);
+    return {
+      key,
+      size: stored.bytes.byteLength,
+      etag: stored.etag,
+      httpEtag: `"${stored.etag}"`,
+      uploaded: stored.uploaded,
+      httpMetadata: { ...stored.httpMetadata },
+      customMetadata: { ...stored.customMetadata },
+      writeHttpMetadata(headers) {
+        for (const [name, header] of [['contentType', 'content-type'], ['contentLanguage', 'content-language'],
+          ['contentDisposition', 'content-disposition'], ['contentEncoding', 'content-encoding'], ['cacheControl', 'cache-control']]) {
+          if (stored.httpMetadata[name]) {
+            headers.set(header, stored.httpMetadata[name]);
+          }
+        }
+      },
+    };
+  }
+
+  async head(key) {
+    return this.objects.has(key) ? this.describe(key) : null;
+  }
+
+  async get(key) {
+    if (!this.objects.has(key)) {
+      return null;
+    }
+    const response = new Response(this.objects.get(key).bytes);
+    return Object.assign(this.describe(key), {
+      get body() { return response.body; },
+      get bodyUsed() { return response.bodyUsed; },
+      text: () => response.text(),
+      json: () => response.json(),
+      arrayBuffer: () => response.arrayBuffer(),
+    });
+  }
+
+  async put(key, value, options = {}) {
+    const bytes = new Uint8Array(await new Response(value).arrayBuffer());
+    this.objects.set(key, {
+      bytes,
+      etag: createHash('sha256').update(bytes).digest('hex').slice(0, 32),
+      uploaded: new Date(),
+      httpMetadata: { ...options.httpMetadata },
+      customMetadata: { ...options.customMetadata },
+    });
+    return this.describe(key);
+  }
+
+  async delete(keys) {
+    for (const key of [].concat(keys)) {
+      this.objects.delete(key);
+    }
+  }
+
+  async list({ prefix = '', cursor, limit = 1000 } = {}) {
+    const keys = [...this.objects.keys()].filter(key => key.startsWith(prefix)).sort();
+    const start = cursor ? keys.findIndex(key => key > cursor) : 0;
+    const page = start === -1 ? [] : keys.slice(start, start + limit);
+    const truncated = start !== -1 && start + limit < keys.length;
+    return {
+      objects: page.map(key => this.describe(key)),
+      truncated,
+      cursor: truncated ? page[page.length - 1] : undefined,
+      delimitedPrefixes: [],
+    };
+  }
+}
+
+/**
+ * 进程内的 Cache API (caches.default): 按 URL 保存 GET 响应, 按 Cache-Control max-age 过期
+ */
+export class MemoryCache {
+  constructor() {
+    this.entries = new Map(); // url -> { bytes, status, headers, expiresAt }
+  }
+
+  async match(request) {
+    const entry = this.entries.get(new Request(request).url);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+    return new Response(entry.bytes, { status: entry.status, headers: entry.headers });
+  }
+
+  async put(request, response) {
+    const maxAge = parseInt(/max-age=(\d+)/.exec(response.headers.get('cache-control') || '')?.[1]) || 0;
+    this.entries.set(new Request(request).url, {
+      bytes: new Uint8Array(await response.arrayBuffer()),
+      status: response.status,
+      headers: [...response.headers],
+      expiresAt: Date.now() + maxAge * 1000,
+    });
+  }
+
+  async delete(request) {
+    return this.entries.delete(new Request(request).url);
+  }
+}
+
+/**
+ * 模拟源站, 和 service binding 的接口相同; 绑定为 env.ORIGIN_FETCHER.
+ * handler 抛出异常相当于网络错误, 收到的请求按顺序记录在 requests 中
+ */
+export class MockOrigin {
+  /**
+   * @param {function(Request): Response|Promise<Response>} handler - Answers each origin request.
+   */
+  constructor(handler) {
+    this.handler = handler;
+    this.requests = [];
+  }
+
+  async fetch(input, init) {
+    const request = new Request(input, init);
+    this.requests.push(request.clone());
+    if (request.signal?.aborted) {
+      throw request.signal.reason;
+    }
+    const aborted = new Promise((resolve, reject) => request.signal?.addEventListener('abort', () => reject(request.signal.reason)));
+    return Promise.race([Promise.resolve().then(() => this.handler(request)), aborted]);
+  }
+}
+
+/**
+ * 收集 waitUntil 的 promise, drain() 等待后台写入完成
+ */
+export function executionContext() {
+  const pending = [];
+  return {
+    waitUntil: promise => pending.push(promise),
+    drain: async () => {
+      while (pending.length > 0) {
+        await pending.shift();
+      }
+    },
+  };
+}
+
+/**
+ * Durable Object namespace 的替身: 每个名字一个实例, storage 是内存中的 Map, alarm 只记录时间不会触发
+ * @param {function} DurableObjectClass - The Durable Object class to instantiate.
+ * @returns {{idFromName: function(string): string, get: function(string): object, instances: Map}}
+ */
+export function durableObjectNamespace(DurableObjectClass) {
+  const instances = new Map();
+  return {
+    instances,
+    idFromName: name => name,
+    get(id) {
+      if (!instances.has(id)) {
+        const data = new Map();
+        const storage = {
+          alarm: null,
+          get: async key => structuredClone(data.get(key)),
+          put: async (key, value) => { data.set(key, structuredClone(value)); },
+          delete: async key => data.delete(key),
+          deleteAll: async () => data.clear(),
+          setAlarm: async time => { storage.alarm = time; },
+        };
+        instances.set(id, new DurableObjectClass({ storage }, {}));
+      }
+      const instance = instances.get(id);
+      return { fetch: (input, init) => instance.fetch(new Request(input, init)) };
+    },
+  };
+}